@@ -1,4 +1,33 @@
-const { MongoClient } = require('mongodb');
+const { MongoClient, ObjectId } = require('mongodb');
+const { makeUniqueFacultyId, isFacultyId } = require('../lib/facultyIds');
+const { sanitizeFacultyRecord, normalizeLegacyOfficeHours } = require('../lib/facultySchema');
+
+function toPublicFaculty(f) {
+  return {
+    facultyId: f.facultyId || null,
+    name: f.name,
+    designation: f.designation,
+    contact: f.contact,
+    email: f.email,
+    image: f.image,
+    weekend: f.weekend || [],
+    officeHours: f.officeHours || {},
+    classTimes: f.classTimes || {},
+    status: f.status || "off_duty",
+    statusChangedAt: f.statusChangedAt || null,
+    manualOverride: f.manualOverride,
+    overrideExpiry: f.overrideExpiry,
+    overrideSource: f.overrideSource || null,
+    overrideSetBy: f.overrideSetBy || null,
+    precedence: f.precedence || 50
+  };
+}
+
+// History, leaves and semester schedules are keyed by facultyId and keep the name as a
+// label. Records of members deleted before facultyIds existed can only be found by name.
+function facultyKey(faculty) {
+  return faculty.facultyId ? { facultyId: faculty.facultyId } : { facultyName: faculty.name };
+}
 
 class FacultyDB {
   constructor() {
@@ -131,26 +160,133 @@ class FacultyDB {
     const db = await this.connect();
     const faculty = await db.collection('faculty').find({}).toArray();
     
-    return faculty.map(f => ({
-      name: f.name,
-      designation: f.designation,
-      contact: f.contact,
-      email: f.email,
-      image: f.image,
-      weekend: f.weekend || [],
-      officeHours: f.officeHours || {},
-      classTimes: f.classTimes || {},
-      status: f.status || "off_duty",
-      manualOverride: f.manualOverride,
-      overrideExpiry: f.overrideExpiry,
-      precedence: f.precedence || 50  // ADD THIS LINE - this was missing!
-    }));
+    return faculty.map(toPublicFaculty);
+  }
+
+  async getFacultyByName(name) {
+    if (!name) return null;
+    const db = await this.connect();
+    const faculty = await db.collection('faculty').findOne({ name: name });
+    return faculty ? toPublicFaculty(faculty) : null;
+  }
+
+  async getFacultyById(facultyId) {
+    if (!isFacultyId(facultyId)) return null;
+    const db = await this.connect();
+    const faculty = await db.collection('faculty').findOne({ facultyId });
+    return faculty ? toPublicFaculty(faculty) : null;
+  }
+
+  // Routes take a facultyId; a display name still works as an alias for old links
+  async resolveFaculty(ref) {
+    return (await this.getFacultyById(ref)) || this.getFacultyByName(ref);
+  }
+
+  // facultyId for a new record named `name`, unique across the collection
+  async generateFacultyId(name, reserved = []) {
+    const db = await this.connect();
+    const taken = await db.collection('faculty').distinct('facultyId');
+    return makeUniqueFacultyId(name, new Set([...taken, ...reserved]));
+  }
+
+  // Give records created before facultyIds existed one, in precedence order so the
+  // first of two same-named members keeps the unsuffixed slug
+  async assignMissingFacultyIds() {
+    const db = await this.connect();
+    const missing = await db.collection('faculty')
+      .find({ facultyId: { $in: [null, ''] } })
+      .sort({ precedence: 1, name: 1 })
+      .toArray();
+    if (!missing.length) return 0;
+
+    const taken = new Set(await db.collection('faculty').distinct('facultyId'));
+    const operations = missing.map(faculty => {
+      const facultyId = makeUniqueFacultyId(faculty.name, taken);
+      taken.add(facultyId);
+      return { updateOne: { filter: { _id: faculty._id }, update: { $set: { facultyId } } } };
+    });
+
+    const result = await db.collection('faculty').bulkWrite(operations, { ordered: true });
+    return result.modifiedCount;
   }
 
-  async updateFacultyStatus(name, status) {
+  // Link accounts that only know their faculty member by name to the member's facultyId
+  async linkUsersToFacultyIds() {
+    const db = await this.connect();
+    const users = await db.collection('users')
+      .find({ linkedFacultyName: { $nin: [null, ''] }, linkedFacultyId: { $in: [null, ''] } })
+      .toArray();
+    if (!users.length) return 0;
+
+    const faculty = await db.collection('faculty').find({}, { projection: { name: 1, facultyId: 1 } }).toArray();
+    const idsByName = new Map(faculty.map(f => [f.name, f.facultyId]));
+    const operations = users
+      .filter(user => idsByName.get(user.linkedFacultyName))
+      .map(user => ({
+        updateOne: {
+          filter: { _id: user._id },
+          update: { $set: { linkedFacultyId: idsByName.get(user.linkedFacultyName) } }
+        }
+      }));
+    if (!operations.length) return 0;
+
+    const result = await db.collection('users').bulkWrite(operations, { ordered: false });
+    return result.modifiedCount;
+  }
+
+  // Give history, leave and semester schedule records written before they were keyed
+  // by facultyId the id of the member they name. Records of deleted members keep none.
+  async linkRecordsToFacultyIds() {
+    const db = await this.connect();
+    const faculty = await db.collection('faculty').find({}, { projection: { name: 1, facultyId: 1 } }).toArray();
+    let modified = 0;
+
+    for (const collection of ['status_history', 'leaves', 'semester_schedules']) {
+      const operations = faculty
+        .filter(f => f.facultyId)
+        .map(f => ({
+          updateMany: {
+            filter: { facultyName: f.name, facultyId: { $in: [null, ''] } },
+            update: { $set: { facultyId: f.facultyId } }
+          }
+        }));
+      if (operations.length) {
+        modified += (await db.collection(collection).bulkWrite(operations, { ordered: false })).modifiedCount;
+      }
+    }
+
+    return modified;
+  }
+
+  // Rewrite legacy office-hour days (["09:00", "17:00"]) as range lists
+  // ([["09:00", "17:00"]]) on faculty records and semester schedules
+  async normalizeLegacyOfficeHours() {
+    const db = await this.connect();
+    let modified = 0;
+
+    for (const collection of ['faculty', 'semester_schedules']) {
+      const records = await db.collection(collection)
+        .find({ officeHours: { $type: 'object' } }, { projection: { officeHours: 1 } })
+        .toArray();
+      const operations = records
+        .map(record => ({ record, ...normalizeLegacyOfficeHours(record.officeHours) }))
+        .filter(entry => entry.changed)
+        .map(entry => ({
+          updateOne: { filter: { _id: entry.record._id }, update: { $set: { officeHours: entry.officeHours } } }
+        }));
+
+      if (operations.length) {
+        modified += (await db.collection(collection).bulkWrite(operations, { ordered: false })).modifiedCount;
+      }
+    }
+
+    return modified;
+  }
+
+  async updateFacultyStatus(facultyId, status) {
     const db = await this.connect();
     const result = await db.collection('faculty').updateOne(
-      { name: name },
+      { facultyId },
       { 
         $set: { 
           status: status,
@@ -161,10 +297,45 @@ class FacultyDB {
     return result.modifiedCount;
   }
 
-  async updateFacultyOverride(name, manualOverride, overrideExpiry) {
+  async bulkUpdateStatuses(changes, changedAt = new Date()) {
+    if (!changes.length) return 0;
+
+    const db = await this.connect();
+    const operations = changes.flatMap(change => {
+      const $set = {
+        status: change.status,
+        updatedAt: changedAt
+      };
+
+      if (change.statusChanged !== false) {
+        $set.statusChangedAt = changedAt;
+      }
+
+      const update = {
+        updateOne: {
+          filter: { facultyId: change.facultyId },
+          update: { $set }
+        }
+      };
+      if (!change.clearOverride) return [update];
+
+      // Only the expired override the engine read: one set since then is left alone
+      return [update, {
+        updateOne: {
+          filter: { facultyId: change.facultyId, overrideExpiry: change.overrideExpiry },
+          update: { $set: { manualOverride: null, overrideExpiry: null } }
+        }
+      }];
+    });
+
+    const result = await db.collection('faculty').bulkWrite(operations, { ordered: false });
+    return result.modifiedCount;
+  }
+
+  async updateFacultyOverride(facultyId, manualOverride, overrideExpiry) {
     const db = await this.connect();
     const result = await db.collection('faculty').updateOne(
-      { name: name },
+      { facultyId },
       { 
         $set: { 
           manualOverride: manualOverride,
@@ -176,15 +347,18 @@ class FacultyDB {
     return result.modifiedCount;
   }
 
-  async bulkUpdateOverrides(updates) {
+  // Each update names its record by facultyId, or by name for older clients
+  async bulkUpdateOverrides(updates, meta = {}) {
     const db = await this.connect();
     const operations = updates.map(update => ({
       updateOne: {
-        filter: { name: update.name },
+        filter: update.facultyId ? { facultyId: update.facultyId } : { name: update.name },
         update: {
           $set: {
             manualOverride: update.manualOverride,
             overrideExpiry: update.overrideExpiry ? new Date(update.overrideExpiry) : null,
+            overrideSource: update.manualOverride ? meta.source || null : null,
+            overrideSetBy: update.manualOverride ? meta.actor || null : null,
             updatedAt: new Date()
           }
         }
@@ -195,6 +369,812 @@ class FacultyDB {
     return result.modifiedCount;
   }
 
+  async getStatusHistoryCollection() {
+    const db = await this.connect();
+    return db.collection('status_history');
+  }
+
+  // Close each member's open history entry and open a new one for their new status
+  async recordStatusTransitions(transitions, changedAt = new Date()) {
+    if (!transitions.length) return 0;
+
+    const history = await this.getStatusHistoryCollection();
+    const operations = [];
+
+    transitions.forEach(transition => {
+      operations.push({
+        updateMany: {
+          filter: { facultyId: transition.facultyId, endedAt: null },
+          update: { $set: { endedAt: changedAt } }
+        }
+      });
+
+      if (transition.status) {
+        operations.push({
+          insertOne: {
+            document: {
+              facultyId: transition.facultyId,
+              facultyName: transition.facultyName,
+              status: transition.status,
+              room: transition.room || null,
+              batch: transition.batch || null,
+              source: transition.source,
+              actor: transition.actor || null,
+              startedAt: changedAt,
+              endedAt: null
+            }
+          }
+        });
+      }
+    });
+
+    const result = await history.bulkWrite(operations, { ordered: true });
+    return result.insertedCount;
+  }
+
+  // Open an entry for members that have no open one yet (first run after deploy)
+  async seedStatusHistory(entries) {
+    if (!entries.length) return 0;
+
+    const history = await this.getStatusHistoryCollection();
+    const operations = entries.map(entry => ({
+      updateOne: {
+        filter: { facultyId: entry.facultyId, endedAt: null },
+        update: {
+          $setOnInsert: {
+            facultyId: entry.facultyId,
+            facultyName: entry.facultyName,
+            status: entry.status,
+            room: entry.room || null,
+            batch: entry.batch || null,
+            source: entry.source,
+            actor: null,
+            startedAt: entry.startedAt,
+            endedAt: null
+          }
+        },
+        upsert: true
+      }
+    }));
+
+    const result = await history.bulkWrite(operations, { ordered: false });
+    return result.upsertedCount;
+  }
+
+  // `faculty` is { facultyId, name }; see facultyKey
+  async getStatusHistory(faculty, from, to) {
+    const history = await this.getStatusHistoryCollection();
+    return history
+      .find({
+        ...facultyKey(faculty),
+        startedAt: { $lt: to },
+        $or: [{ endedAt: null }, { endedAt: { $gt: from } }]
+      })
+      .sort({ startedAt: 1 })
+      .toArray();
+  }
+
+  async getStatusHistoryInRange(from, to) {
+    const history = await this.getStatusHistoryCollection();
+    return history
+      .find({
+        startedAt: { $lt: to },
+        $or: [{ endedAt: null }, { endedAt: { $gt: from } }]
+      })
+      .sort({ facultyId: 1, startedAt: 1 })
+      .toArray();
+  }
+
+  // Records stay attached through their facultyId; this only refreshes the name they display
+  async renameFacultyReferences(facultyId, newName) {
+    const db = await this.connect();
+    for (const collection of ['status_history', 'leaves', 'semester_schedules']) {
+      await db.collection(collection).updateMany({ facultyId }, { $set: { facultyName: newName } });
+    }
+  }
+
+  async getLeavesCollection() {
+    const db = await this.connect();
+    return db.collection('leaves');
+  }
+
+  async listLeaves(filter = {}) {
+    const leaves = await this.getLeavesCollection();
+    const query = {};
+    if (filter.facultyId) query.facultyId = filter.facultyId;
+    if (filter.status) query.status = filter.status;
+    if (filter.from) query.endDate = { $gte: filter.from };
+    if (filter.to) query.startDate = { $lte: filter.to };
+    return leaves.find(query).sort({ startDate: -1, requestedAt: -1 }).toArray();
+  }
+
+  async getLeaveById(id) {
+    if (!ObjectId.isValid(id)) return null;
+    const leaves = await this.getLeavesCollection();
+    return leaves.findOne({ _id: new ObjectId(id) });
+  }
+
+  async findOverlappingLeave(facultyId, startDate, endDate) {
+    const leaves = await this.getLeavesCollection();
+    return leaves.findOne({
+      facultyId,
+      status: { $in: ['pending', 'approved'] },
+      startDate: { $lte: endDate },
+      endDate: { $gte: startDate }
+    });
+  }
+
+  async createLeave(leave) {
+    const leaves = await this.getLeavesCollection();
+    const now = new Date();
+    const document = {
+      ...leave,
+      status: 'pending',
+      requestedAt: now,
+      reviewedBy: null,
+      reviewedAt: null,
+      reviewNote: null,
+      updatedAt: now
+    };
+    const result = await leaves.insertOne(document);
+    return { ...document, _id: result.insertedId };
+  }
+
+  // Only transitions from `fromStatuses`, so two reviewers cannot both act on one request
+  async updateLeaveStatus(id, fromStatuses, updates) {
+    if (!ObjectId.isValid(id)) return null;
+    const leaves = await this.getLeavesCollection();
+    return leaves.findOneAndUpdate(
+      { _id: new ObjectId(id), status: { $in: fromStatuses } },
+      { $set: { ...updates, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+  }
+
+  async getApprovedLeavesOn(dateKey) {
+    const leaves = await this.getLeavesCollection();
+    return leaves.find({
+      status: 'approved',
+      startDate: { $lte: dateKey },
+      endDate: { $gte: dateKey }
+    }).toArray();
+  }
+
+  async getCalendarCollection() {
+    const db = await this.connect();
+    return db.collection('academic_calendar');
+  }
+
+  // Calendar entries overlapping [fromKey, toKey]; both bounds optional
+  async getCalendarEntries(fromKey = null, toKey = null) {
+    const calendar = await this.getCalendarCollection();
+    const query = {};
+    if (fromKey) query.endDate = { $gte: fromKey };
+    if (toKey) query.startDate = { $lte: toKey };
+    return calendar.find(query).sort({ startDate: 1, endDate: 1 }).toArray();
+  }
+
+  async getCalendarEntryById(id) {
+    if (!ObjectId.isValid(id)) return null;
+    const calendar = await this.getCalendarCollection();
+    return calendar.findOne({ _id: new ObjectId(id) });
+  }
+
+  async createCalendarEntry(entry) {
+    const calendar = await this.getCalendarCollection();
+    const now = new Date();
+    const document = { ...entry, createdAt: now, updatedAt: now };
+    const result = await calendar.insertOne(document);
+    return { ...document, _id: result.insertedId };
+  }
+
+  async updateCalendarEntry(id, updates) {
+    if (!ObjectId.isValid(id)) return null;
+    const calendar = await this.getCalendarCollection();
+    return calendar.findOneAndUpdate(
+      { _id: new ObjectId(id) },
+      { $set: { ...updates, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+  }
+
+  async deleteCalendarEntry(id) {
+    if (!ObjectId.isValid(id)) return null;
+    const calendar = await this.getCalendarCollection();
+    return calendar.findOneAndDelete({ _id: new ObjectId(id) });
+  }
+
+  async getSemestersCollection() {
+    const db = await this.connect();
+    return db.collection('semesters');
+  }
+
+  async getSemesterSchedulesCollection() {
+    const db = await this.connect();
+    return db.collection('semester_schedules');
+  }
+
+  // Semesters sorted by start date, each with the number of faculty schedules it holds
+  async listSemesters() {
+    const semesters = await this.getSemestersCollection();
+    const schedules = await this.getSemesterSchedulesCollection();
+    const list = await semesters.find({}).sort({ startDate: 1 }).toArray();
+    const counts = await schedules.aggregate([
+      { $group: { _id: '$semesterId', count: { $sum: 1 } } }
+    ]).toArray();
+    const countById = new Map(counts.map(item => [String(item._id), item.count]));
+    return list.map(semester => ({ ...semester, scheduleCount: countById.get(String(semester._id)) || 0 }));
+  }
+
+  async getSemesterById(id) {
+    if (!ObjectId.isValid(id)) return null;
+    const semesters = await this.getSemestersCollection();
+    return semesters.findOne({ _id: new ObjectId(id) });
+  }
+
+  async getSemesterForDate(dateKey) {
+    const semesters = await this.getSemestersCollection();
+    return semesters.findOne(
+      { startDate: { $lte: dateKey }, endDate: { $gte: dateKey } },
+      { sort: { startDate: -1 } }
+    );
+  }
+
+  async findOverlappingSemester(startDate, endDate, excludeId = null) {
+    const semesters = await this.getSemestersCollection();
+    const query = { startDate: { $lte: endDate }, endDate: { $gte: startDate } };
+    if (excludeId) query._id = { $ne: new ObjectId(excludeId) };
+    return semesters.findOne(query);
+  }
+
+  async createSemester(semester) {
+    const semesters = await this.getSemestersCollection();
+    const now = new Date();
+    const document = { ...semester, createdAt: now, updatedAt: now };
+    const result = await semesters.insertOne(document);
+    return { ...document, _id: result.insertedId };
+  }
+
+  async updateSemester(id, updates) {
+    if (!ObjectId.isValid(id)) return null;
+    const semesters = await this.getSemestersCollection();
+    return semesters.findOneAndUpdate(
+      { _id: new ObjectId(id) },
+      { $set: { ...updates, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+  }
+
+  async deleteSemester(id) {
+    if (!ObjectId.isValid(id)) return null;
+    const semesters = await this.getSemestersCollection();
+    const deleted = await semesters.findOneAndDelete({ _id: new ObjectId(id) });
+    if (deleted) {
+      const schedules = await this.getSemesterSchedulesCollection();
+      await schedules.deleteMany({ semesterId: deleted._id });
+    }
+    return deleted;
+  }
+
+  async getSemesterSchedules(semesterId) {
+    const schedules = await this.getSemesterSchedulesCollection();
+    return schedules.find({ semesterId: new ObjectId(semesterId) }).sort({ facultyName: 1 }).toArray();
+  }
+
+  async getSemesterSchedule(semesterId, facultyId) {
+    const schedules = await this.getSemesterSchedulesCollection();
+    return schedules.findOne({ semesterId: new ObjectId(semesterId), facultyId });
+  }
+
+  // `faculty` is the member's { facultyId, name }
+  async upsertSemesterSchedule(semesterId, faculty, schedule, updatedBy = null) {
+    const schedules = await this.getSemesterSchedulesCollection();
+    return schedules.findOneAndUpdate(
+      { semesterId: new ObjectId(semesterId), facultyId: faculty.facultyId },
+      { $set: { ...schedule, facultyName: faculty.name, updatedBy, updatedAt: new Date() } },
+      { upsert: true, returnDocument: 'after' }
+    );
+  }
+
+  // Returns the removed schedule, or null when there was none. `faculty` is
+  // { facultyId, name }; see facultyKey
+  async deleteSemesterSchedule(semesterId, faculty) {
+    const schedules = await this.getSemesterSchedulesCollection();
+    return schedules.findOneAndDelete({ semesterId: new ObjectId(semesterId), ...facultyKey(faculty) });
+  }
+
+  // Seed a semester with `schedules` ([{ facultyId, facultyName, weekend, officeHours, classTimes }]),
+  // keeping any schedule the semester already has for a member
+  async seedSemesterSchedules(semesterId, schedules, updatedBy = null) {
+    if (!schedules.length) return 0;
+
+    const collection = await this.getSemesterSchedulesCollection();
+    const now = new Date();
+    const operations = schedules.map(({ facultyId, facultyName, weekend, officeHours, classTimes }) => ({
+      updateOne: {
+        filter: { semesterId: new ObjectId(semesterId), facultyId },
+        update: { $setOnInsert: { facultyName, weekend, officeHours, classTimes, updatedBy, updatedAt: now } },
+        upsert: true
+      }
+    }));
+
+    const result = await collection.bulkWrite(operations, { ordered: false });
+    return result.upsertedCount;
+  }
+
+  // Copy a semester's schedules (or one member's) onto the faculty documents, which hold
+  // the live weekly routine. Returns the facultyIds of members that were updated.
+  async applySemesterSchedules(semesterId, facultyId = null) {
+    const schedules = (await this.getSemesterSchedules(semesterId))
+      .filter(schedule => schedule.facultyId && (!facultyId || schedule.facultyId === facultyId));
+    if (!schedules.length) return [];
+
+    const db = await this.connect();
+    const now = new Date();
+    await db.collection('faculty').bulkWrite(
+      schedules.map(schedule => ({
+        updateOne: {
+          filter: { facultyId: schedule.facultyId },
+          update: {
+            $set: {
+              weekend: schedule.weekend || [],
+              officeHours: schedule.officeHours || {},
+              classTimes: schedule.classTimes || {},
+              updatedAt: now
+            }
+          }
+        }
+      })),
+      { ordered: false }
+    );
+    return schedules.map(schedule => schedule.facultyId);
+  }
+
+  // Replace classTimes for several faculty members at once; `updates` is [{ facultyId, classTimes }]
+  async setClassTimes(updates) {
+    if (!updates.length) return 0;
+
+    const db = await this.connect();
+    const now = new Date();
+    const result = await db.collection('faculty').bulkWrite(
+      updates.map(({ facultyId, classTimes }) => ({
+        updateOne: {
+          filter: { facultyId },
+          update: { $set: { classTimes, updatedAt: now } }
+        }
+      })),
+      { ordered: false }
+    );
+    return result.modifiedCount;
+  }
+
+  // Database side of a faculty.json reconciliation (see lib/reconcile.js)
+  async applyFacultyReconciliation({ inserts = [], updates = [], deletes = [] }) {
+    // Records from the file keep their facultyId unless another record already has it
+    const db = await this.connect();
+    const taken = new Set(inserts.length ? await db.collection('faculty').distinct('facultyId') : []);
+    const facultyIds = inserts.map(record => {
+      const facultyId = isFacultyId(record.facultyId) && !taken.has(record.facultyId)
+        ? record.facultyId
+        : makeUniqueFacultyId(record.name, taken);
+      taken.add(facultyId);
+      return facultyId;
+    });
+
+    const operations = [
+      ...inserts.map((record, index) => ({
+        insertOne: {
+          document: { ...record, facultyId: facultyIds[index], status: 'off_duty', createdAt: new Date(), updatedAt: new Date() }
+        }
+      })),
+      ...updates.map(({ name, set, unset }) => ({
+        updateOne: {
+          filter: { name },
+          update: {
+            $set: { ...set, updatedAt: new Date() },
+            ...(unset.length ? { $unset: Object.fromEntries(unset.map(path => [path, ''])) } : {})
+          }
+        }
+      })),
+      ...deletes.map(name => ({ deleteOne: { filter: { name } } }))
+    ];
+    if (!operations.length) return null;
+
+    return db.collection('faculty').bulkWrite(operations, { ordered: true });
+  }
+
+  async getReconciliationsCollection() {
+    const db = await this.connect();
+    return db.collection('faculty_reconciliations');
+  }
+
+  async recordReconciliation(entry) {
+    const reconciliations = await this.getReconciliationsCollection();
+    const document = { ...entry, appliedAt: new Date() };
+    const result = await reconciliations.insertOne(document);
+    return { ...document, _id: result.insertedId };
+  }
+
+  async listReconciliations(limit = 20) {
+    const reconciliations = await this.getReconciliationsCollection();
+    return reconciliations.find({}).sort({ appliedAt: -1 }).limit(limit).toArray();
+  }
+
+  async getRoomsCollection() {
+    const db = await this.connect();
+    return db.collection('rooms');
+  }
+
+  async listRooms(activeOnly = false) {
+    const rooms = await this.getRoomsCollection();
+    return rooms
+      .find(activeOnly ? { active: true } : {})
+      .sort({ building: 1, floor: 1, code: 1 })
+      .toArray();
+  }
+
+  async getRoomByCode(code) {
+    const rooms = await this.getRoomsCollection();
+    return rooms.findOne({ code });
+  }
+
+  async createRoom(room) {
+    const rooms = await this.getRoomsCollection();
+    const now = new Date();
+    const document = { ...room, createdAt: now, updatedAt: now };
+    const result = await rooms.insertOne(document);
+    return { ...document, _id: result.insertedId };
+  }
+
+  async updateRoom(code, updates) {
+    const rooms = await this.getRoomsCollection();
+    return rooms.findOneAndUpdate(
+      { code },
+      { $set: { ...updates, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+  }
+
+  async deleteRoom(code) {
+    const rooms = await this.getRoomsCollection();
+    return rooms.findOneAndDelete({ code });
+  }
+
+  // One-time seed of an empty registry; returns the number of rooms inserted
+  async seedRoomsIfEmpty(rooms) {
+    const collection = await this.getRoomsCollection();
+    if (!rooms.length || await collection.countDocuments() > 0) return 0;
+
+    const now = new Date();
+    const result = await collection.insertMany(
+      rooms.map(room => ({ ...room, createdAt: now, updatedAt: now }))
+    );
+    return result.insertedCount;
+  }
+
+  async getDeployJobsCollection() {
+    const db = await this.connect();
+    return db.collection('deploy_jobs');
+  }
+
+  async listDeployJobs(limit = 20) {
+    const jobs = await this.getDeployJobsCollection();
+    return jobs.find({}).sort({ createdAt: -1 }).limit(limit).toArray();
+  }
+
+  async getDeployJobById(id) {
+    if (!ObjectId.isValid(id)) return null;
+    const jobs = await this.getDeployJobsCollection();
+    return jobs.findOne({ _id: new ObjectId(id) });
+  }
+
+  async createDeployJob(job) {
+    const jobs = await this.getDeployJobsCollection();
+    const now = new Date();
+    const document = {
+      ...job,
+      status: 'queued',
+      attempts: 0,
+      error: null,
+      commitSha: null,
+      commitUrl: null,
+      createdAt: now,
+      startedAt: null,
+      finishedAt: null,
+      updatedAt: now
+    };
+    const result = await jobs.insertOne(document);
+    return { ...document, _id: result.insertedId };
+  }
+
+  // Oldest queued job, marked running so it is only picked up once
+  async claimNextDeployJob() {
+    const jobs = await this.getDeployJobsCollection();
+    const now = new Date();
+    return jobs.findOneAndUpdate(
+      { status: 'queued' },
+      { $set: { status: 'running', startedAt: now, updatedAt: now }, $inc: { attempts: 1 } },
+      { sort: { createdAt: 1 }, returnDocument: 'after' }
+    );
+  }
+
+  async finishDeployJob(id, updates) {
+    const jobs = await this.getDeployJobsCollection();
+    const now = new Date();
+    return jobs.findOneAndUpdate(
+      { _id: id },
+      { $set: { ...updates, finishedAt: now, updatedAt: now } },
+      { returnDocument: 'after' }
+    );
+  }
+
+  // Only failed jobs can be retried
+  async requeueDeployJob(id, retriedBy = null) {
+    if (!ObjectId.isValid(id)) return null;
+    const jobs = await this.getDeployJobsCollection();
+    return jobs.findOneAndUpdate(
+      { _id: new ObjectId(id), status: 'failed' },
+      { $set: { status: 'queued', error: null, retriedBy, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+  }
+
+  // Jobs left running by a restart go back to the queue
+  async requeueInterruptedDeployJobs() {
+    const jobs = await this.getDeployJobsCollection();
+    const result = await jobs.updateMany(
+      { status: 'running' },
+      { $set: { status: 'queued', updatedAt: new Date() } }
+    );
+    return result.modifiedCount;
+  }
+
+  async getAuthSessionsCollection() {
+    const db = await this.connect();
+    return db.collection('auth_sessions');
+  }
+
+  // One login on one device; the refresh token is stored only as a hash
+  async createAuthSession(session) {
+    const sessions = await this.getAuthSessionsCollection();
+    const now = new Date();
+    const document = {
+      ...session,
+      previousRefreshTokenHash: null,
+      rotatedAt: null,
+      revokedAt: null,
+      revokedReason: null,
+      createdAt: now,
+      lastUsedAt: now
+    };
+    const result = await sessions.insertOne(document);
+    return { ...document, _id: result.insertedId };
+  }
+
+  async getAuthSession(id) {
+    if (!ObjectId.isValid(id)) return null;
+    const sessions = await this.getAuthSessionsCollection();
+    return sessions.findOne({ _id: new ObjectId(id) });
+  }
+
+  // Swap in the next refresh token, only if `currentHash` is still the live one;
+  // null when another request rotated it first or the session ended
+  async rotateAuthSession(id, currentHash, nextHash) {
+    const sessions = await this.getAuthSessionsCollection();
+    const now = new Date();
+    return sessions.findOneAndUpdate(
+      { _id: new ObjectId(id), refreshTokenHash: currentHash, revokedAt: null, expiresAt: { $gt: now } },
+      {
+        $set: {
+          refreshTokenHash: nextHash,
+          previousRefreshTokenHash: currentHash,
+          rotatedAt: now,
+          lastUsedAt: now
+        }
+      },
+      { returnDocument: 'after' }
+    );
+  }
+
+  async revokeAuthSession(id, reason) {
+    if (!ObjectId.isValid(id)) return false;
+    const sessions = await this.getAuthSessionsCollection();
+    const result = await sessions.updateOne(
+      { _id: new ObjectId(id), revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  // Ends every live session of the given usernames; returns how many were ended
+  async revokeUserSessions(usernames, reason) {
+    const sessions = await this.getAuthSessionsCollection();
+    const result = await sessions.updateMany(
+      { username: { $in: [].concat(usernames) }, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount;
+  }
+
+  async getPasswordResetsCollection() {
+    const db = await this.connect();
+    return db.collection('password_resets');
+  }
+
+  // A new link replaces any unused one the account still has
+  async createPasswordReset(reset) {
+    const resets = await this.getPasswordResetsCollection();
+    const now = new Date();
+    await resets.updateMany(
+      { username: reset.username, usedAt: null },
+      { $set: { usedAt: now, supersededAt: now } }
+    );
+    await resets.insertOne({ ...reset, usedAt: null, createdAt: now });
+  }
+
+  async getLatestPasswordReset(username) {
+    const resets = await this.getPasswordResetsCollection();
+    return resets.find({ username }).sort({ createdAt: -1 }).limit(1).next();
+  }
+
+  // Every forgot-password request, whether or not it produced a link, for the per-IP limit
+  async recordPasswordResetRequest(ip) {
+    const db = await this.connect();
+    await db.collection('password_reset_requests').insertOne({ ip, createdAt: new Date() });
+  }
+
+  async countPasswordResetRequestsFromIp(ip, since) {
+    const db = await this.connect();
+    return db.collection('password_reset_requests').countDocuments({ ip, createdAt: { $gte: since } });
+  }
+
+  // The unused, unexpired reset with this token hash, or null
+  async getActivePasswordReset(tokenHash) {
+    const resets = await this.getPasswordResetsCollection();
+    return resets.findOne({ tokenHash, usedAt: null, expiresAt: { $gt: new Date() } });
+  }
+
+  // Marks the reset used; null when it was already used or has expired
+  async consumePasswordReset(tokenHash) {
+    const resets = await this.getPasswordResetsCollection();
+    return resets.findOneAndUpdate(
+      { tokenHash, usedAt: null, expiresAt: { $gt: new Date() } },
+      { $set: { usedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+  }
+
+  async getLoginThrottlesCollection() {
+    const db = await this.connect();
+    return db.collection('login_throttles');
+  }
+
+  async getLoginThrottles(keys) {
+    const throttles = await this.getLoginThrottlesCollection();
+    return throttles.find({ key: { $in: keys } }).toArray();
+  }
+
+  // Count one more failure for `throttle` ({ key, kind, value }); a counter whose
+  // last failure is older than `windowStart` starts over. Returns the counter.
+  async recordLoginFailure(throttle, windowStart) {
+    const throttles = await this.getLoginThrottlesCollection();
+    await throttles.deleteOne({ key: throttle.key, lastFailureAt: { $lt: windowStart } });
+    const now = new Date();
+    return throttles.findOneAndUpdate(
+      { key: throttle.key },
+      {
+        $inc: { failures: 1 },
+        $set: { lastFailureAt: now },
+        $setOnInsert: { kind: throttle.kind, value: throttle.value, firstFailureAt: now }
+      },
+      { upsert: true, returnDocument: 'after' }
+    );
+  }
+
+  async setLoginThrottleDeadlines(key, { nextAllowedAt, lockedUntil }) {
+    const throttles = await this.getLoginThrottlesCollection();
+    await throttles.updateOne({ key }, { $set: { nextAllowedAt, lockedUntil } });
+  }
+
+  async clearLoginThrottle(key) {
+    const throttles = await this.getLoginThrottlesCollection();
+    await throttles.deleteOne({ key });
+  }
+
+  // Counters with failures since `since`, most recent first
+  async listLoginThrottles(since) {
+    const throttles = await this.getLoginThrottlesCollection();
+    return throttles.find({ lastFailureAt: { $gte: since } }).sort({ lastFailureAt: -1 }).limit(500).toArray();
+  }
+
+  async deleteLoginThrottleById(id) {
+    if (!ObjectId.isValid(id)) return null;
+    const throttles = await this.getLoginThrottlesCollection();
+    return throttles.findOneAndDelete({ _id: new ObjectId(id) });
+  }
+
+  async getAuditLogCollection() {
+    const db = await this.connect();
+    return db.collection('audit_log');
+  }
+
+  async recordAudit(entry) {
+    const auditLog = await this.getAuditLogCollection();
+    await auditLog.insertOne(entry);
+  }
+
+  // Newest first; `before` pages back from the oldest entry already shown
+  async listAuditLog({ actor, action, target, from, to, before, failedOnly, limit = 100 } = {}) {
+    const auditLog = await this.getAuditLogCollection();
+    const query = {};
+    if (actor) query.actor = actor;
+    if (action) query.action = action;
+    if (target) query['target.id'] = target;
+    if (failedOnly) query.succeeded = false;
+    if (from || to || before) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = from;
+      if (to) query.createdAt.$lte = to;
+      if (before) query.createdAt.$lt = before;
+    }
+    return auditLog.find(query).sort({ createdAt: -1 }).limit(limit).toArray();
+  }
+
+  async getRolesCollection() {
+    const db = await this.connect();
+    return db.collection('roles');
+  }
+
+  async listRoles() {
+    const roles = await this.getRolesCollection();
+    return roles.find({}).sort({ builtIn: -1, name: 1 }).toArray();
+  }
+
+  async getRole(name) {
+    const roles = await this.getRolesCollection();
+    return roles.findOne({ name });
+  }
+
+  // Insert the roles that do not exist yet; existing ones keep their edits. Returns the count added.
+  async seedRoles(defaultRoles) {
+    const roles = await this.getRolesCollection();
+    const now = new Date();
+    let added = 0;
+    for (const role of defaultRoles) {
+      const result = await roles.updateOne(
+        { name: role.name },
+        { $setOnInsert: { ...role, createdAt: now, updatedAt: now } },
+        { upsert: true }
+      );
+      added += result.upsertedCount;
+    }
+    return added;
+  }
+
+  async createRole(role) {
+    const roles = await this.getRolesCollection();
+    const now = new Date();
+    const record = { ...role, builtIn: false, createdAt: now, updatedAt: now };
+    const result = await roles.insertOne(record);
+    return { ...record, _id: result.insertedId };
+  }
+
+  // Returns the updated role, or null when it does not exist
+  async updateRole(name, { label, permissions }) {
+    const roles = await this.getRolesCollection();
+    return roles.findOneAndUpdate(
+      { name },
+      { $set: { label, permissions, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+  }
+
+  async deleteRole(name) {
+    const roles = await this.getRolesCollection();
+    const result = await roles.deleteOne({ name, builtIn: { $ne: true } });
+    return result.deletedCount > 0;
+  }
+
   async getSetting(key) {
     const db = await this.connect();
     const setting = await db.collection('settings').findOne({ key: key });
@@ -216,45 +1196,49 @@ class FacultyDB {
     return result.modifiedCount;
   }
 
-  async migrateFromJSON() {
-    const fs = require('fs');
-    const path = require('path');
-    const jsonPath = path.join(__dirname, '../faculty.json');
-    
-    if (!fs.existsSync(jsonPath)) {
-      console.log('No faculty.json found, skipping migration');
-      return;
-    }
-
+  // Initial import of faculty.json's records (read from storage by the caller). The file
+  // stays where it is: it is the display site's copy and is reconciled from then on.
+  // Returns { imported, dropped }: `dropped` counts records skipped, merged into a
+  // same-named one or imported with fields left out, i.e. where the database differs
+  async migrateFromJSON(jsonData) {
     const db = await this.connect();
-    const jsonData = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
-    
+    let imported = 0;
+    let dropped = 0;
+
     for (const faculty of jsonData) {
-      await db.collection('faculty').updateOne(
-        { name: faculty.name },
+      // Import what is valid rather than losing the whole member over one bad entry
+      const { value, errors } = sanitizeFacultyRecord(faculty);
+      if (!value) {
+        console.log(`⚠️ Skipped a faculty.json record without a name`);
+        dropped += 1;
+        continue;
+      }
+      errors.forEach(error => console.log(`⚠️ ${value.name}: left out ${error.field} (${error.message})`));
+
+      const result = await db.collection('faculty').updateOne(
+        { name: value.name },
         {
           $set: {
-            ...faculty,
+            ...value,
+            ...(isFacultyId(faculty.facultyId) ? { facultyId: faculty.facultyId } : {}),
+            status: 'off_duty',
             createdAt: new Date(),
             updatedAt: new Date()
           }
         },
         { upsert: true }
       );
+      imported += 1;
+      if (errors.length > 0 || result.matchedCount > 0) {
+        dropped += 1;
+      }
     }
 
     // Set default marquee
     await this.setSetting('marquee_text', 'Welcome to Faculty Status Display System');
     
-    console.log(`✅ Migrated ${jsonData.length} faculty records from JSON to MongoDB`);
-    
-    // Backup JSON file
-    try {
-      fs.renameSync(jsonPath, jsonPath + '.backup');
-      console.log('📁 Backed up faculty.json as faculty.json.backup');
-    } catch (error) {
-      console.log('⚠️ Could not backup faculty.json (file may not exist)');
-    }
+    console.log(`✅ Migrated ${imported} faculty records from JSON to MongoDB`);
+    return { imported, dropped };
   }
 
   async updateFacultyPrecedence(name, precedence) {
@@ -0,0 +1,186 @@
+// Audit trail of every mutating API request: who did what to which record, from
+// where, and what the record looked like before and after. The middleware writes
+// one entry per request once the response is sent; routes add what only they
+// know (the target and before/after snapshots) with setAuditSnapshot().
+
+// Action names by route, for filtering. Routes missing here are logged as "METHOD /path".
+const AUDIT_ACTIONS = {
+  'POST /api/login': 'auth.login',
+  'POST /api/auth/login': 'auth.login',
+  'POST /api/logout': 'auth.logout',
+  'POST /api/auth/refresh': 'auth.refresh',
+  'POST /api/auth/logout-all': 'auth.logout_all',
+  'POST /api/auth/change-password': 'auth.change_password',
+  'POST /api/auth/forgot-password': 'auth.forgot_password',
+  'POST /api/auth/reset-password': 'auth.reset_password',
+  'PUT /api/auth/users/:username': 'user.role_change',
+  'POST /api/auth/users/:username/reset-password': 'user.password_reset',
+  'POST /api/auth/users/:username/logout-all': 'user.logout_all',
+  'POST /api/auth/users/:username/send-reset-link': 'user.send_reset_link',
+  'DELETE /api/admin/login-throttles/:id': 'user.login_unlock',
+  'POST /api/auth/migrate-faculty-accounts': 'user.migrate_faculty_accounts',
+  'POST /api/auth/roles': 'role.create',
+  'PUT /api/auth/roles/:name': 'role.update',
+  'DELETE /api/auth/roles/:name': 'role.delete',
+  'POST /api/update': 'status.override',
+  'POST /api/admin/faculty': 'faculty.create',
+  'PUT /api/admin/faculty/:facultyId': 'faculty.update',
+  'DELETE /api/admin/faculty/:facultyId': 'faculty.delete',
+  'POST /api/admin/faculty-sync/apply': 'faculty.reconcile',
+  'POST /api/admin/faculty-sync/accept': 'faculty.reconcile_accept',
+  'POST /api/admin/routine-import': 'routine.import',
+  'POST /api/leaves': 'leave.request',
+  'POST /api/leaves/:id/approve': 'leave.approve',
+  'POST /api/leaves/:id/reject': 'leave.reject',
+  'POST /api/leaves/:id/cancel': 'leave.cancel',
+  'POST /api/academic-calendar': 'calendar.create',
+  'PUT /api/academic-calendar/:id': 'calendar.update',
+  'DELETE /api/academic-calendar/:id': 'calendar.delete',
+  'POST /api/rooms': 'room.create',
+  'PUT /api/rooms/:code': 'room.update',
+  'DELETE /api/rooms/:code': 'room.delete',
+  'POST /api/semesters': 'semester.create',
+  'PUT /api/semesters/:id': 'semester.update',
+  'DELETE /api/semesters/:id': 'semester.delete',
+  'PUT /api/semesters/:id/schedules/:faculty': 'semester.schedule_update',
+  'DELETE /api/semesters/:id/schedules/:faculty': 'semester.schedule_delete',
+  'POST /api/admin/marquee': 'marquee.update',
+  'POST /api/upload': 'file.upload',
+  'DELETE /api/admin/ads/:filename': 'ad.delete',
+  'POST /api/admin/deploy': 'deploy.create',
+  'PUT /api/admin/deploy/target': 'deploy.target_update',
+  'POST /api/admin/deploy/jobs/:id/retry': 'deploy.retry'
+};
+
+// Requests not worth an entry: dry runs, previews and routine token refreshes
+// (a refused refresh, e.g. a reused token, is still logged)
+const UNAUDITED_ROUTES = {
+  'POST /api/admin/faculty/check-schedule': () => true,
+  'POST /api/auth/reset-password/check': () => true,
+  'POST /api/admin/routine-import': req => !req.body?.apply,
+  'POST /api/auth/refresh': (req, res) => res.statusCode < 400
+};
+
+const MUTATING_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+
+// Body fields never written to the log
+const SECRET_FIELDS = new Set(['password', 'currentPassword', 'newPassword', 'passwordHash', 'token', 'refreshToken', 'temporaryPassword', 'tempPassword']);
+// Body fields replaced by their size (uploads, CSV imports)
+const BULK_FIELDS = new Set(['content', 'csv']);
+
+// A copy of `value` safe to store: secrets removed, bulky payloads summarized,
+// depth and length bounded so one request cannot bloat the collection
+function redactForAudit(value, depth = 0) {
+  if (value === null || value === undefined) return value ?? null;
+  if (value instanceof Date) return value;
+  if (typeof value === 'string') return value.length > 2000 ? `${value.slice(0, 2000)}… [${value.length} chars]` : value;
+  if (typeof value !== 'object') return value;
+  if (depth >= 6) return '[…]';
+
+  if (Array.isArray(value)) {
+    const items = value.slice(0, 200).map(item => redactForAudit(item, depth + 1));
+    return value.length > 200 ? [...items, `… ${value.length - 200} more`] : items;
+  }
+
+  const copy = {};
+  Object.entries(value).forEach(([key, entry]) => {
+    if (SECRET_FIELDS.has(key)) {
+      copy[key] = '[redacted]';
+    } else if (BULK_FIELDS.has(key) && typeof entry === 'string') {
+      copy[key] = `[${entry.length} chars]`;
+    } else {
+      copy[key] = redactForAudit(entry, depth + 1);
+    }
+  });
+  return copy;
+}
+
+// "PUT /api/admin/faculty/:facultyId"; null for requests no route handled
+function getRouteKey(req) {
+  return req.route && typeof req.route.path === 'string' ? `${req.method} ${req.route.path}` : null;
+}
+
+// Record the target and before/after state of the request being handled.
+// `target` is { type, id } (id being e.g. a facultyId, username or file name).
+function setAuditSnapshot(res, { target, before, after } = {}) {
+  res.locals.audit = {
+    ...(res.locals.audit || {}),
+    ...(target !== undefined ? { target } : {}),
+    ...(before !== undefined ? { before } : {}),
+    ...(after !== undefined ? { after } : {})
+  };
+}
+
+// The entry for a finished request; the request body stands in for `after` when the route set none
+function buildAuditEntry(req, res, routeKey) {
+  const snapshot = res.locals.audit || {};
+  // Without a snapshot target, "/api/rooms/:code" is logged as { type: "rooms", id: <code> }
+  const segments = req.route.path.split('/');
+  const firstParam = segments.findIndex(segment => segment.startsWith(':'));
+  const paramTarget = firstParam > 0
+    ? { type: segments[firstParam - 1], id: Object.values(req.params).join('/') }
+    : null;
+
+  return {
+    actor: req.user?.username || (typeof req.body?.username === 'string' ? req.body.username.toLowerCase() : null),
+    role: req.user?.role || null,
+    action: AUDIT_ACTIONS[routeKey] || routeKey,
+    method: req.method,
+    path: req.originalUrl.split('?')[0],
+    target: snapshot.target || paramTarget,
+    before: redactForAudit(snapshot.before ?? null),
+    after: redactForAudit(snapshot.after !== undefined ? snapshot.after : (req.body && Object.keys(req.body).length ? req.body : null)),
+    status: res.statusCode,
+    succeeded: res.statusCode < 400,
+    ip: req.ip || null,
+    userAgent: String(req.get('user-agent') || '').slice(0, 300) || null,
+    createdAt: new Date()
+  };
+}
+
+// Middleware logging every mutating request that reached a route; `record` stores an entry
+function createAuditMiddleware(record) {
+  return (req, res, next) => {
+    if (!MUTATING_METHODS.has(req.method) || !req.path.startsWith('/api/')) return next();
+
+    res.on('finish', () => {
+      const routeKey = getRouteKey(req);
+      if (!routeKey || UNAUDITED_ROUTES[routeKey]?.(req, res)) return;
+
+      Promise.resolve()
+        .then(() => record(buildAuditEntry(req, res, routeKey)))
+        .catch(error => console.error("❌ Failed to write audit entry:", error.message));
+    });
+    next();
+  };
+}
+
+// Returns { value } with normalized viewer filters, or { error }
+function parseAuditQuery(query) {
+  const value = {
+    actor: query.actor ? String(query.actor).trim().toLowerCase() : null,
+    action: query.action ? String(query.action).trim() : null,
+    target: query.target ? String(query.target).trim() : null,
+    from: query.from ? new Date(query.from) : null,
+    to: query.to ? new Date(query.to) : null,
+    before: query.before ? new Date(query.before) : null,
+    failedOnly: query.failedOnly === 'true',
+    limit: query.limit === undefined ? 100 : Number(query.limit)
+  };
+
+  if ([value.from, value.to, value.before].some(date => date && isNaN(date.getTime()))) {
+    return { error: "from, to and before must be valid dates" };
+  }
+  if (!Number.isInteger(value.limit) || value.limit < 1 || value.limit > 500) {
+    return { error: "limit must be a whole number between 1 and 500" };
+  }
+  return { value };
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  redactForAudit,
+  setAuditSnapshot,
+  createAuditMiddleware,
+  parseAuditQuery
+};
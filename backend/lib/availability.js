@@ -0,0 +1,153 @@
+// Room occupancy and teacher availability for a time window on a given date.
+// Mirrors the precedence of getCurrentStatus() so the answers match the display.
+
+const {
+  WEEK_DAYS,
+  getZonedClock,
+  zonedTimeToDate,
+  addDays,
+  isDateKey,
+  getDayNameForDateKey,
+  normalizeOfficeRanges,
+  hasActiveOverride
+} = require('./schedule');
+const { normalizeRoomCode } = require('./rooms');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function overlaps(startA, endA, startB, endB) {
+  return startA < endB && startB < endA;
+}
+
+function addMinutes(time, minutes) {
+  const [hour, minute] = time.split(':').map(Number);
+  const total = hour * 60 + minute + minutes;
+  return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+}
+
+// Resolve ?date= or ?day= plus ?start=&end= into { value: { dateKey, start, end } } or { error }.
+// `day` means the next such weekday (today included); with no times, "right now" is used.
+function parseAvailabilityQuery(query, now = new Date()) {
+  const clock = getZonedClock(now);
+  let dateKey = clock.dateKey;
+
+  if (query.date) {
+    if (!isDateKey(query.date)) {
+      return { error: "date must be in YYYY-MM-DD format" };
+    }
+    dateKey = query.date;
+  } else if (query.day) {
+    const day = WEEK_DAYS.find(name => name.toLowerCase() === String(query.day).trim().toLowerCase());
+    if (!day) {
+      return { error: `day must be one of: ${WEEK_DAYS.join(', ')}` };
+    }
+    while (getDayNameForDateKey(dateKey) !== day) {
+      dateKey = addDays(dateKey, 1);
+    }
+  }
+
+  let { start, end } = query;
+  if (!start && !end) {
+    if (dateKey !== clock.dateKey) {
+      return { error: "start and end are required for days other than today" };
+    }
+    start = clock.time;
+    end = addMinutes(clock.time, 1);
+  }
+
+  if (!TIME_PATTERN.test(start || '') || !(TIME_PATTERN.test(end || '') || end === '24:00')) {
+    return { error: "start and end must be times in HH:MM format" };
+  }
+
+  if (end <= start) {
+    return { error: "end must be after start" };
+  }
+
+  return { value: { dateKey, start, end } };
+}
+
+// What a faculty member is doing during [start, end) on `calendarDay` (see lib/calendar.js).
+// `leave` is their approved leave covering that date, if any.
+function getWindowStatus(faculty, calendarDay, start, end, { leave = null, now = new Date() } = {}) {
+  const windowStart = zonedTimeToDate(calendarDay.dateKey, start);
+  const windowEnd = zonedTimeToDate(calendarDay.dateKey, end);
+  const day = calendarDay.scheduleDay;
+
+  // A manual override holds from now until it expires
+  if (hasActiveOverride(faculty, now) && windowEnd > now && windowStart < new Date(faculty.overrideExpiry)) {
+    return { status: faculty.manualOverride };
+  }
+
+  if (leave) {
+    return { status: "on_leave" };
+  }
+
+  if (calendarDay.holiday) {
+    return { status: "on_weekend", holiday: calendarDay.holiday };
+  }
+
+  if (faculty.weekend?.includes(day)) {
+    return { status: "on_weekend" };
+  }
+
+  const classes = calendarDay.exam ? [] : faculty.classTimes?.[day];
+  const cls = (Array.isArray(classes) ? classes : [])
+    .find(entry => entry.start < entry.end && overlaps(entry.start, entry.end, start, end));
+  if (cls) {
+    return { status: "in_class", room: cls.room || null, batch: cls.batch || null };
+  }
+
+  const inOffice = normalizeOfficeRanges(faculty.officeHours?.[day])
+    .some(([rangeStart, rangeEnd]) => rangeStart < rangeEnd && overlaps(rangeStart, rangeEnd, start, end));
+  if (inOffice) {
+    return { status: "at_dept" };
+  }
+
+  return { status: "off_duty" };
+}
+
+// Split the registry into free and occupied rooms for [start, end) on `calendarDay`.
+// Occupied entries list the classes holding the room; rooms missing from the registry
+// but used by a class are reported as occupied with `registered: false`.
+function getRoomOccupancy(faculty, rooms, calendarDay, start, end) {
+  const classesByRoom = new Map();
+
+  if (!calendarDay.holiday && !calendarDay.exam) {
+    faculty.forEach(member => {
+      const classes = member.classTimes?.[calendarDay.scheduleDay];
+      (Array.isArray(classes) ? classes : []).forEach(cls => {
+        const code = normalizeRoomCode(cls.room);
+        if (!code || !(cls.start < cls.end) || !overlaps(cls.start, cls.end, start, end)) return;
+        if (!classesByRoom.has(code)) {
+          classesByRoom.set(code, []);
+        }
+        classesByRoom.get(code).push({
+          facultyName: member.name,
+          start: cls.start,
+          end: cls.end,
+          batch: cls.batch || null
+        });
+      });
+    });
+  }
+
+  const roomByCode = new Map(rooms.map(room => [room.code, room]));
+  const occupied = [...classesByRoom.entries()]
+    .map(([code, classes]) => ({
+      ...(roomByCode.get(code) || { code }),
+      registered: roomByCode.has(code),
+      classes: classes.sort((a, b) => a.start.localeCompare(b.start))
+    }))
+    .sort((a, b) => a.code.localeCompare(b.code));
+
+  return {
+    free: rooms.filter(room => room.active && !classesByRoom.has(room.code)),
+    occupied
+  };
+}
+
+module.exports = {
+  parseAvailabilityQuery,
+  getWindowStatus,
+  getRoomOccupancy
+};
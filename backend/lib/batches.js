@@ -0,0 +1,86 @@
+// Per-batch timetables, inverted from the `batch` field of faculty classTimes.
+
+const { WEEK_DAYS } = require('./schedule');
+const { normalizeRoomCode } = require('./rooms');
+
+// The department week starts on Saturday, same as the admin schedule form
+const TIMETABLE_DAYS = ['Saturday', ...WEEK_DAYS.filter(day => day !== 'Saturday')];
+
+// Batch names are matched case-insensitively with whitespace collapsed
+function normalizeBatchKey(batch) {
+  return String(batch || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// Every class that names a batch, as { batchKey, batch, day, start, end, room, faculty }
+function listBatchClasses(faculty) {
+  return faculty.flatMap(member =>
+    Object.entries(member.classTimes || {}).flatMap(([day, classes]) =>
+      (Array.isArray(classes) ? classes : [])
+        .filter(cls => normalizeBatchKey(cls?.batch) && cls.start && cls.end)
+        .map(cls => ({
+          batchKey: normalizeBatchKey(cls.batch),
+          batch: String(cls.batch).trim().replace(/\s+/g, ' '),
+          day,
+          start: cls.start,
+          end: cls.end,
+          room: normalizeRoomCode(cls.room) || null,
+          faculty: member
+        }))
+    )
+  );
+}
+
+// Distinct batches with how many weekly classes and teachers each has
+function listBatches(faculty) {
+  const batches = new Map();
+
+  listBatchClasses(faculty).forEach(cls => {
+    if (!batches.has(cls.batchKey)) {
+      batches.set(cls.batchKey, { batch: cls.batch, classCount: 0, teachers: new Set() });
+    }
+    const entry = batches.get(cls.batchKey);
+    entry.classCount += 1;
+    entry.teachers.add(cls.faculty.name);
+  });
+
+  return [...batches.values()]
+    .map(({ batch, classCount, teachers }) => ({ batch, classCount, teacherCount: teachers.size }))
+    .sort((a, b) => a.batch.localeCompare(b.batch, undefined, { numeric: true }));
+}
+
+// Weekly timetable for one batch, or null when no class names it
+function buildBatchTimetable(faculty, batch) {
+  const key = normalizeBatchKey(batch);
+  const classes = listBatchClasses(faculty).filter(cls => cls.batchKey === key);
+  if (classes.length === 0) {
+    return null;
+  }
+
+  const days = TIMETABLE_DAYS.map(day => ({
+    day,
+    classes: classes
+      .filter(cls => cls.day === day)
+      .sort((a, b) => a.start.localeCompare(b.start) || a.end.localeCompare(b.end))
+      .map(cls => ({
+        start: cls.start,
+        end: cls.end,
+        room: cls.room,
+        facultyName: cls.faculty.name,
+        designation: cls.faculty.designation || ""
+      }))
+  }));
+
+  return {
+    batch: classes[0].batch,
+    classCount: classes.length,
+    teachers: [...new Set(classes.map(cls => cls.faculty.name))].sort(),
+    days
+  };
+}
+
+module.exports = {
+  TIMETABLE_DAYS,
+  normalizeBatchKey,
+  listBatches,
+  buildBatchTimetable
+};
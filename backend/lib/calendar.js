@@ -0,0 +1,79 @@
+const { WEEK_DAYS, isDateKey, addDays, getDayNameForDateKey } = require('./schedule');
+
+// Department calendar entries that override the weekly schedule:
+// - holiday: nobody is expected in, everyone shows as on weekend
+// - exam: classes are suppressed, office hours still apply
+// - makeup: the day follows another weekday's schedule (`followDay`)
+const CALENDAR_TYPES = {
+  holiday: "Holiday",
+  exam: "Exam Period",
+  makeup: "Makeup Day"
+};
+
+const MAX_CALENDAR_ENTRY_DAYS = 366;
+
+// Returns { value } with a normalized calendar entry, or { error }
+function validateCalendarEntry(body) {
+  const type = String(body?.type || '').trim();
+  const title = String(body?.title || '').trim();
+  const startDate = String(body?.startDate || '').trim();
+  const endDate = String(body?.endDate || startDate).trim();
+  const note = String(body?.note || '').trim();
+  const followDay = type === 'makeup' ? String(body?.followDay || '').trim() : null;
+
+  if (!CALENDAR_TYPES[type]) {
+    return { error: `Calendar entry type must be one of: ${Object.keys(CALENDAR_TYPES).join(', ')}` };
+  }
+
+  if (!title || title.length > 120) {
+    return { error: "Title is required and must be 120 characters or fewer" };
+  }
+
+  if (!isDateKey(startDate) || !isDateKey(endDate)) {
+    return { error: "startDate and endDate must be dates in YYYY-MM-DD format" };
+  }
+
+  if (endDate < startDate) {
+    return { error: "endDate must not be before startDate" };
+  }
+
+  if (addDays(startDate, MAX_CALENDAR_ENTRY_DAYS) <= endDate) {
+    return { error: `A single calendar entry cannot exceed ${MAX_CALENDAR_ENTRY_DAYS} days` };
+  }
+
+  if (type === 'makeup' && !WEEK_DAYS.includes(followDay)) {
+    return { error: "Makeup days must name the weekday whose schedule they follow" };
+  }
+
+  if (note.length > 500) {
+    return { error: "Note must be 500 characters or fewer" };
+  }
+
+  return { value: { type, title, startDate, endDate, followDay, note } };
+}
+
+// Combine the entries covering `dateKey` into what the schedule should do that day.
+// `scheduleDay` is the weekday whose classes/office hours apply.
+function resolveCalendarDay(entries, dateKey) {
+  const covering = entries.filter(entry => entry.startDate <= dateKey && entry.endDate >= dateKey);
+  const find = type => covering.find(entry => entry.type === type) || null;
+  const holiday = find('holiday');
+  const exam = find('exam');
+  const makeup = find('makeup');
+  const day = getDayNameForDateKey(dateKey);
+
+  return {
+    dateKey,
+    day,
+    scheduleDay: makeup && !holiday ? makeup.followDay : day,
+    holiday: holiday ? holiday.title : null,
+    exam: exam ? exam.title : null,
+    makeup: makeup && !holiday ? makeup.title : null
+  };
+}
+
+module.exports = {
+  CALENDAR_TYPES,
+  validateCalendarEntry,
+  resolveCalendarDay
+};
@@ -0,0 +1,63 @@
+// Secrets the server cannot run safely without. In production a missing, well-known
+// or short value stops startup. Elsewhere a missing or well-known one is replaced by
+// a random secret for this process only, so everyone is signed out on restart.
+
+const crypto = require('crypto');
+
+const REQUIRED_SECRETS = ['JWT_SECRET', 'SESSION_SECRET'];
+const MIN_SECRET_LENGTH = 32;
+
+// Values that shipped as fallbacks or show up in tutorials
+const KNOWN_DEFAULT_SECRETS = [
+  'jwt_secret_key_change_in_production',
+  'secret123',
+  'secret',
+  'changeme',
+  'change_me',
+  'your_jwt_secret'
+];
+
+const GENERATE_HINT = `Generate one with: node -e "console.log(require('crypto').randomBytes(48).toString('hex'))"`;
+
+function describeSecretProblem(value) {
+  if (!value) return 'is not set';
+  if (KNOWN_DEFAULT_SECRETS.includes(value.trim().toLowerCase())) return 'is a well-known default value';
+  if (value.length < MIN_SECRET_LENGTH) return `is shorter than ${MIN_SECRET_LENGTH} characters`;
+  return null;
+}
+
+// { secrets: { JWT_SECRET, SESSION_SECRET }, errors, warnings }. `errors` is only
+// ever non-empty in production, and startup must stop when it is.
+function resolveSecrets(env) {
+  const production = env.NODE_ENV === 'production';
+  const secrets = {};
+  const errors = [];
+  const warnings = [];
+
+  REQUIRED_SECRETS.forEach(name => {
+    const value = env[name];
+    const problem = describeSecretProblem(value);
+
+    if (!problem) {
+      secrets[name] = value;
+    } else if (production) {
+      errors.push(`${name} ${problem}. ${GENERATE_HINT}`);
+      // Never used: startup stops first. Keeps module-level setup from tripping over undefined.
+      secrets[name] = crypto.randomBytes(48).toString('hex');
+    } else if (value && !KNOWN_DEFAULT_SECRETS.includes(value.trim().toLowerCase())) {
+      warnings.push(`${name} ${problem}; production will refuse it`);
+      secrets[name] = value;
+    } else {
+      warnings.push(`${name} ${problem}; using a random secret for this run (sessions end on restart)`);
+      secrets[name] = crypto.randomBytes(48).toString('hex');
+    }
+  });
+
+  return { secrets, errors, warnings };
+}
+
+module.exports = {
+  REQUIRED_SECRETS,
+  MIN_SECRET_LENGTH,
+  resolveSecrets
+};
@@ -0,0 +1,141 @@
+// Weekly schedule conflict checker used by the faculty and semester schedule routes.
+// Errors block a save; warnings are returned so the admin form can show them.
+
+const { normalizeOfficeRanges } = require('./schedule');
+const { normalizeRoomCode, findUnknownClassRooms } = require('./rooms');
+const { normalizeBatchKey } = require('./batches');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function overlaps(a, b) {
+  return a.start < b.end && b.start < a.end;
+}
+
+// Classes with usable times, flattened to { facultyName, day, index, slot, start, end, room, batch }
+function listClasses(faculty) {
+  const list = [];
+  Object.entries(faculty.classTimes || {}).forEach(([day, classes]) => {
+    (Array.isArray(classes) ? classes : []).forEach((cls, index) => {
+      if (!TIME_PATTERN.test(cls?.start || '') || !TIME_PATTERN.test(cls?.end || '') || cls.end <= cls.start) {
+        return;
+      }
+      list.push({
+        facultyName: faculty.name,
+        day,
+        index,
+        slot: `${cls.start}-${cls.end}`,
+        start: cls.start,
+        end: cls.end,
+        room: normalizeRoomCode(cls.room),
+        batch: String(cls.batch || '').trim(),
+        batchKey: normalizeBatchKey(cls.batch)
+      });
+    });
+  });
+  return list;
+}
+
+// Office-hour ranges for a day merged into non-overlapping [start, end] pairs
+function mergedOfficeRanges(officeHours, day) {
+  const ranges = normalizeOfficeRanges(officeHours?.[day])
+    .filter(([start, end]) => TIME_PATTERN.test(start) && TIME_PATTERN.test(end) && start < end)
+    .sort((a, b) => a[0].localeCompare(b[0]));
+
+  return ranges.reduce((merged, [start, end]) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = end > last[1] ? end : last[1];
+    } else {
+      merged.push([start, end]);
+    }
+    return merged;
+  }, []);
+}
+
+// Check `candidate` ({ name, weekend, officeHours, classTimes }) against `others` (the
+// rest of the faculty) and the room registry. Each item is
+// { type, section, day, index, slot, message, with? } where `section` is "classTimes" or
+// "officeHours" and `index` is the entry's position in that day's list.
+function checkScheduleConflicts(candidate, others, rooms) {
+  const errors = [];
+  const warnings = [];
+  const add = (list, type, section, day, index, slot, message, withEntry) => {
+    list.push({ type, section, day, index, slot, message, ...(withEntry ? { with: withEntry } : {}) });
+  };
+
+  Object.entries(candidate.officeHours || {}).forEach(([day, value]) => {
+    normalizeOfficeRanges(value).forEach(([start, end], index) => {
+      const slot = `${start}-${end}`;
+      if (!TIME_PATTERN.test(start) || !TIME_PATTERN.test(end)) {
+        add(errors, 'invalid_time', 'officeHours', day, index, slot, `Office hours on ${day} must use HH:MM times`);
+      } else if (end <= start) {
+        add(errors, 'end_before_start', 'officeHours', day, index, slot, `Office hours ${slot} on ${day} end before they start`);
+      }
+    });
+  });
+
+  Object.entries(candidate.classTimes || {}).forEach(([day, classes]) => {
+    (Array.isArray(classes) ? classes : []).forEach((cls, index) => {
+      const slot = `${cls?.start || '?'}-${cls?.end || '?'}`;
+      if (!TIME_PATTERN.test(cls?.start || '') || !TIME_PATTERN.test(cls?.end || '')) {
+        add(errors, 'invalid_time', 'classTimes', day, index, slot, `Class on ${day} must use HH:MM times`);
+      } else if (cls.end <= cls.start) {
+        add(errors, 'end_before_start', 'classTimes', day, index, slot, `Class ${slot} on ${day} ends before it starts`);
+      }
+    });
+  });
+
+  // A retired room is still a real place, so it only warns; a room the registry
+  // has never heard of is a typo or a missing entry
+  const registeredCodes = new Set(rooms.map(room => room.code));
+  findUnknownClassRooms(candidate.classTimes, rooms).forEach(({ day, index, room }) => {
+    const cls = candidate.classTimes[day][index];
+    const slot = `${cls.start || '?'}-${cls.end || '?'}`;
+    if (registeredCodes.has(room)) {
+      add(warnings, 'inactive_room', 'classTimes', day, index, slot, `Room ${room} is marked inactive in the registry`);
+    } else {
+      add(errors, 'unknown_room', 'classTimes', day, index, slot, `Room ${room} is not in the room registry`);
+    }
+  });
+
+  const ownClasses = listClasses(candidate);
+  const otherClasses = others.flatMap(listClasses);
+  const weekend = candidate.weekend || [];
+
+  ownClasses.forEach((cls, position) => {
+    const describe = other => ({ facultyName: other.facultyName, slot: other.slot, room: other.room || null, batch: other.batch || null });
+
+    if (weekend.includes(cls.day)) {
+      add(warnings, 'on_weekend', 'classTimes', cls.day, cls.index, cls.slot, `Class ${cls.slot} on ${cls.day} falls on a weekend day`);
+    } else if (!mergedOfficeRanges(candidate.officeHours, cls.day).some(([start, end]) => start <= cls.start && cls.end <= end)) {
+      add(warnings, 'outside_office_hours', 'classTimes', cls.day, cls.index, cls.slot,
+        `Class ${cls.slot} on ${cls.day} is outside office hours`);
+    }
+
+    ownClasses.slice(0, position)
+      .filter(other => other.day === cls.day && overlaps(cls, other))
+      .forEach(other => {
+        add(errors, 'teacher_double_booked', 'classTimes', cls.day, cls.index, cls.slot,
+          `Class ${cls.slot} overlaps another class (${other.slot}) on ${cls.day}`, describe(other));
+      });
+
+    otherClasses
+      .filter(other => other.day === cls.day && overlaps(cls, other))
+      .forEach(other => {
+        if (cls.room && other.room === cls.room) {
+          add(errors, 'room_double_booked', 'classTimes', cls.day, cls.index, cls.slot,
+            `${cls.room} is booked by ${other.facultyName} (${other.slot}) on ${cls.day}`, describe(other));
+        }
+        if (cls.batchKey && other.batchKey === cls.batchKey) {
+          add(errors, 'batch_clash', 'classTimes', cls.day, cls.index, cls.slot,
+            `${cls.batch} already has a class with ${other.facultyName} (${other.slot}) on ${cls.day}`, describe(other));
+        }
+      });
+  });
+
+  return { errors, warnings };
+}
+
+module.exports = {
+  checkScheduleConflicts
+};
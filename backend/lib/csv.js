@@ -0,0 +1,69 @@
+// Minimal CSV reader/writer (RFC 4180 quoting) for reports, exports and routine imports.
+
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+// columns: [{ key, label }] — rows are plain objects
+function toCsv(rows, columns) {
+  const lines = [columns.map(column => escapeCsvValue(column.label)).join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeCsvValue(row[column.key])).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Parse CSV text into an array of rows (arrays of strings). Handles quoted fields,
+// doubled quotes, CRLF/LF line endings and a leading byte-order mark.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+module.exports = {
+  escapeCsvValue,
+  toCsv,
+  parseCsv
+};
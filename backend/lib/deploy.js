@@ -0,0 +1,207 @@
+// Publishing stored files to a GitHub repository, for teams that keep the repo as
+// the source of truth. Each deploy job becomes a single commit made through the
+// Git Data API, so faculty.json, the marquee and the ads land together or not at all.
+
+// Settings key holding { enabled, repository, branch, basePath }
+const DEPLOY_TARGET_SETTING = 'githubDeployTarget';
+
+const REPOSITORY_PATTERN = /^[\w.-]+\/[\w.-]+$/;
+const BRANCH_PATTERN = /^[\w.\/-]+$/;
+const GITHUB_API = 'https://api.github.com';
+
+// Target used until an admin saves one
+function getDefaultDeployTarget(env) {
+  return {
+    enabled: Boolean(env.GITHUB_REPOSITORY),
+    repository: env.GITHUB_REPOSITORY || '',
+    branch: env.GITHUB_BRANCH || 'main',
+    basePath: 'backend'
+  };
+}
+
+// Returns { value } with a normalized target, or { error }
+function validateDeployTarget(body) {
+  const enabled = body?.enabled === true || body?.enabled === 'true';
+  const repository = String(body?.repository || '').trim();
+  const branch = String(body?.branch || '').trim();
+  const basePath = String(body?.basePath ?? '').trim().replace(/^\/+|\/+$/g, '');
+
+  if (repository && !REPOSITORY_PATTERN.test(repository)) {
+    return { error: "repository must look like owner/repo" };
+  }
+
+  if (enabled && !repository) {
+    return { error: "A repository is required to enable deploys" };
+  }
+
+  if (!branch || branch.length > 100 || !BRANCH_PATTERN.test(branch) ||
+    branch.includes('..') || branch.startsWith('/') || branch.endsWith('/')) {
+    return { error: "branch must be a valid branch name" };
+  }
+
+  if (basePath.split('/').some(part => part === '.' || part === '..') || /[\\\s]/.test(basePath)) {
+    return { error: "basePath must be a folder inside the repository, e.g. backend" };
+  }
+
+  return { value: { enabled, repository, branch, basePath } };
+}
+
+// Where a storage key ("public/ads/promo.jpg") lives in the repository
+function toRepositoryPath(target, key) {
+  return [target.basePath, key].filter(Boolean).join('/');
+}
+
+// Short description of a job's files, used as the commit message
+function describeDeployKeys(keys) {
+  const parts = [];
+  if (keys.includes('faculty.json')) parts.push('faculty.json');
+  if (keys.includes('public/marquee.txt')) parts.push('marquee.txt');
+
+  const ads = keys.filter(key => key.startsWith('public/ads/')).length;
+  const photos = keys.filter(key => /^public\/[^/]+$/.test(key) && key !== 'public/marquee.txt').length;
+  if (photos > 0) parts.push(`${photos} faculty image(s)`);
+  if (ads > 0) parts.push(`${ads} ad file(s)`);
+
+  return `Deploy from admin panel: ${parts.join(', ') || 'no files'}`;
+}
+
+function createGitHubClient(token, repository) {
+  return async (method, route, body) => {
+    const response = await fetch(`${GITHUB_API}/repos/${repository}${route}`, {
+      method,
+      headers: {
+        'Authorization': `token ${token}`,
+        'Accept': 'application/vnd.github+json',
+        ...(body ? { 'Content-Type': 'application/json' } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    if (method === 'GET' && response.status === 404) return null;
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(`GitHub ${method} ${route.split('?')[0]} failed: ${error.message || response.status}`);
+    }
+    return response.json();
+  };
+}
+
+// Commit `files` ([{ path, content }], content null to delete) on top of the
+// target branch. Returns { sha, url }, or { sha: null } when nothing changed.
+async function commitFiles({ token, target, message, files }) {
+  const github = createGitHubClient(token, target.repository);
+  const encodePath = filePath => filePath.split('/').map(encodeURIComponent).join('/');
+
+  const ref = await github('GET', `/git/ref/heads/${target.branch}`);
+  if (!ref) {
+    throw new Error(`Branch ${target.branch} not found in ${target.repository}`);
+  }
+  const headSha = ref.object.sha;
+  const head = await github('GET', `/git/commits/${headSha}`);
+
+  const tree = [];
+  for (const file of files) {
+    if (file.content !== null) {
+      const blob = await github('POST', '/git/blobs', {
+        content: file.content.toString('base64'),
+        encoding: 'base64'
+      });
+      tree.push({ path: file.path, mode: '100644', type: 'blob', sha: blob.sha });
+    } else if (await github('GET', `/contents/${encodePath(file.path)}?ref=${headSha}`)) {
+      // Deleting a path the branch does not have makes the whole tree request fail
+      tree.push({ path: file.path, mode: '100644', type: 'blob', sha: null });
+    }
+  }
+
+  if (tree.length === 0) {
+    return { sha: null };
+  }
+
+  const newTree = await github('POST', '/git/trees', { base_tree: head.tree.sha, tree });
+  if (newTree.sha === head.tree.sha) {
+    return { sha: null };
+  }
+
+  const commit = await github('POST', '/git/commits', {
+    message,
+    tree: newTree.sha,
+    parents: [headSha]
+  });
+  // Not forced: if someone pushed meanwhile the job fails and can be retried
+  await github('PATCH', `/git/refs/heads/${target.branch}`, { sha: commit.sha, force: false });
+
+  return { sha: commit.sha, url: commit.html_url };
+}
+
+// Runs deploy jobs one at a time, oldest first. Jobs live in the deploy_jobs
+// collection, so a job cut off by a restart is queued again by start(). File
+// contents are read from storage when the job runs: a retry publishes what is
+// stored now, and a key missing from storage is deleted from the repository.
+class DeployQueue {
+  constructor(facultyDB, storage, options = {}) {
+    this.facultyDB = facultyDB;
+    this.storage = storage;
+    this.token = options.token || null;
+    this.queue = Promise.resolve();
+  }
+
+  async start() {
+    const requeued = await this.facultyDB.requeueInterruptedDeployJobs();
+    if (requeued > 0) {
+      console.log(`📤 Re-queued ${requeued} interrupted deploy job(s)`);
+    }
+    return this.kick();
+  }
+
+  // Process every queued job; calls made while a run is active chain behind it
+  kick() {
+    this.queue = this.queue
+      .then(() => this.drain())
+      .catch(error => console.error("❌ Deploy queue error:", error));
+    return this.queue;
+  }
+
+  async drain() {
+    let job;
+    while ((job = await this.facultyDB.claimNextDeployJob())) {
+      await this.run(job);
+    }
+  }
+
+  async run(job) {
+    try {
+      if (!this.token) {
+        throw new Error("GITHUB_TOKEN is not set on the server");
+      }
+
+      const files = [];
+      for (const key of job.keys) {
+        files.push({ path: toRepositoryPath(job.target, key), content: await this.storage.read(key) });
+      }
+
+      const commit = await commitFiles({ token: this.token, target: job.target, message: job.message, files });
+      await this.facultyDB.finishDeployJob(job._id, {
+        status: 'succeeded',
+        commitSha: commit.sha,
+        commitUrl: commit.url || null,
+        error: null
+      });
+      console.log(commit.sha
+        ? `✅ Deploy job ${job._id} committed ${commit.sha.slice(0, 7)} to ${job.target.repository}@${job.target.branch}`
+        : `✅ Deploy job ${job._id}: ${job.target.repository} already up to date`);
+    } catch (error) {
+      console.error(`❌ Deploy job ${job._id} failed:`, error.message);
+      await this.facultyDB.finishDeployJob(job._id, { status: 'failed', error: error.message });
+    }
+  }
+}
+
+module.exports = {
+  DEPLOY_TARGET_SETTING,
+  getDefaultDeployTarget,
+  validateDeployTarget,
+  toRepositoryPath,
+  describeDeployKeys,
+  commitFiles,
+  DeployQueue
+};
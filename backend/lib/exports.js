@@ -0,0 +1,274 @@
+// Directory and routine exports for printing and sharing. Each builder returns
+// { title, filename, table, sections }: `table` is the flat { columns, rows } used
+// for CSV, `sections` the per-teacher/room/batch tables used for the printable page.
+
+const { getZonedClock, normalizeOfficeRanges } = require('./schedule');
+const { normalizeRoomCode } = require('./rooms');
+const { TIMETABLE_DAYS, listBatches, buildBatchTimetable } = require('./batches');
+
+const EXPORT_TYPES = {
+  directory: "Faculty Directory",
+  routines: "Teacher Routines",
+  rooms: "Room Occupancy",
+  batches: "Batch Timetables"
+};
+
+function byPrecedence(a, b) {
+  return (a.precedence || 50) - (b.precedence || 50) || a.name.localeCompare(b.name);
+}
+
+function dayOrder(day) {
+  return TIMETABLE_DAYS.indexOf(day);
+}
+
+function buildDirectoryExport(faculty) {
+  const columns = [
+    { key: 'name', label: 'Name' },
+    { key: 'designation', label: 'Designation' },
+    { key: 'email', label: 'Email' },
+    { key: 'contact', label: 'Contact' },
+    { key: 'weekend', label: 'Weekend' }
+  ];
+  const rows = [...faculty].sort(byPrecedence).map(f => ({
+    name: f.name,
+    designation: f.designation || '',
+    email: f.email || '',
+    contact: f.contact || '',
+    weekend: (f.weekend || []).join(', ')
+  }));
+
+  return {
+    title: EXPORT_TYPES.directory,
+    filename: 'faculty_directory',
+    table: { columns, rows },
+    sections: [{ heading: null, columns, rows }]
+  };
+}
+
+// Office hours and classes for each teacher, in week order
+function listRoutineEntries(member) {
+  const entries = [];
+  Object.entries(member.officeHours || {}).forEach(([day, value]) => {
+    normalizeOfficeRanges(value).forEach(([start, end]) => {
+      entries.push({ day, start, end, activity: 'Office hours', room: '', batch: '' });
+    });
+  });
+  Object.entries(member.classTimes || {}).forEach(([day, classes]) => {
+    (Array.isArray(classes) ? classes : []).forEach(cls => {
+      entries.push({
+        day,
+        start: cls.start,
+        end: cls.end,
+        activity: 'Class',
+        room: normalizeRoomCode(cls.room),
+        batch: String(cls.batch || '').trim()
+      });
+    });
+  });
+
+  return entries
+    .filter(entry => entry.start && entry.end && dayOrder(entry.day) !== -1)
+    .sort((a, b) => dayOrder(a.day) - dayOrder(b.day) || a.start.localeCompare(b.start));
+}
+
+function buildRoutinesExport(faculty) {
+  const members = [...faculty].sort(byPrecedence);
+  const columns = [
+    { key: 'day', label: 'Day' },
+    { key: 'time', label: 'Time' },
+    { key: 'activity', label: 'Activity' },
+    { key: 'room', label: 'Room' },
+    { key: 'batch', label: 'Batch' }
+  ];
+
+  const sections = members.map(member => ({
+    heading: member.name,
+    subheading: [member.designation, member.weekend?.length ? `Weekend: ${member.weekend.join(', ')}` : '']
+      .filter(Boolean).join(' · '),
+    columns,
+    rows: listRoutineEntries(member).map(entry => ({ ...entry, time: `${entry.start}-${entry.end}` }))
+  }));
+
+  return {
+    title: EXPORT_TYPES.routines,
+    filename: members.length === 1 ? `routine_${members[0].name}` : 'teacher_routines',
+    table: {
+      columns: [
+        { key: 'faculty', label: 'Faculty' },
+        { key: 'day', label: 'Day' },
+        { key: 'start', label: 'Start' },
+        { key: 'end', label: 'End' },
+        { key: 'activity', label: 'Activity' },
+        { key: 'room', label: 'Room' },
+        { key: 'batch', label: 'Batch' }
+      ],
+      rows: members.flatMap(member => listRoutineEntries(member).map(entry => ({ faculty: member.name, ...entry })))
+    },
+    sections
+  };
+}
+
+// Week grid per room: one row per day, one column per distinct class slot
+function buildRoomsExport(faculty, rooms, roomCode = null) {
+  const classes = faculty.flatMap(member =>
+    Object.entries(member.classTimes || {}).flatMap(([day, list]) =>
+      (Array.isArray(list) ? list : [])
+        .filter(cls => cls.start && cls.end && normalizeRoomCode(cls.room))
+        .map(cls => ({
+          room: normalizeRoomCode(cls.room),
+          day,
+          start: cls.start,
+          end: cls.end,
+          batch: String(cls.batch || '').trim(),
+          faculty: member.name
+        }))
+    )
+  ).sort((a, b) => a.room.localeCompare(b.room) || dayOrder(a.day) - dayOrder(b.day) || a.start.localeCompare(b.start));
+
+  const codes = roomCode
+    ? [normalizeRoomCode(roomCode)]
+    : [...new Set([...rooms.filter(room => room.active).map(room => room.code), ...classes.map(cls => cls.room)])].sort();
+
+  const sections = codes.map(code => {
+    const roomClasses = classes.filter(cls => cls.room === code);
+    const slots = [...new Set(roomClasses.map(cls => `${cls.start}-${cls.end}`))].sort();
+    const room = rooms.find(entry => entry.code === code);
+
+    return {
+      heading: `Room ${code}`,
+      subheading: room ? [room.building && `Building ${room.building}`, room.capacity && `${room.capacity} seats`].filter(Boolean).join(' · ') : '',
+      columns: [{ key: 'day', label: 'Day' }, ...slots.map(slot => ({ key: slot, label: slot }))],
+      rows: TIMETABLE_DAYS.map(day => ({
+        day,
+        ...Object.fromEntries(slots.map(slot => [
+          slot,
+          roomClasses
+            .filter(cls => cls.day === day && `${cls.start}-${cls.end}` === slot)
+            .map(cls => [cls.batch, cls.faculty].filter(Boolean).join('\n'))
+            .join('\n\n')
+        ]))
+      }))
+    };
+  });
+
+  return {
+    title: EXPORT_TYPES.rooms,
+    filename: roomCode ? `room_${codes[0]}` : 'room_occupancy',
+    table: {
+      columns: [
+        { key: 'room', label: 'Room' },
+        { key: 'day', label: 'Day' },
+        { key: 'start', label: 'Start' },
+        { key: 'end', label: 'End' },
+        { key: 'batch', label: 'Batch' },
+        { key: 'faculty', label: 'Faculty' }
+      ],
+      rows: classes.filter(cls => codes.includes(cls.room))
+    },
+    sections,
+    landscape: true
+  };
+}
+
+function buildBatchesExport(faculty, batch = null) {
+  const timetables = (batch ? [batch] : listBatches(faculty).map(entry => entry.batch))
+    .map(name => buildBatchTimetable(faculty, name))
+    .filter(Boolean);
+  const columns = [
+    { key: 'day', label: 'Day' },
+    { key: 'time', label: 'Time' },
+    { key: 'facultyName', label: 'Teacher' },
+    { key: 'room', label: 'Room' }
+  ];
+  const flatten = timetable => timetable.days.flatMap(({ day, classes }) =>
+    classes.map(cls => ({ batch: timetable.batch, day, ...cls, room: cls.room || '', time: `${cls.start}-${cls.end}` }))
+  );
+
+  return {
+    title: EXPORT_TYPES.batches,
+    filename: batch && timetables[0] ? `timetable_${timetables[0].batch}` : 'batch_timetables',
+    table: {
+      columns: [
+        { key: 'batch', label: 'Batch' },
+        { key: 'day', label: 'Day' },
+        { key: 'start', label: 'Start' },
+        { key: 'end', label: 'End' },
+        { key: 'facultyName', label: 'Teacher' },
+        { key: 'room', label: 'Room' }
+      ],
+      rows: timetables.flatMap(flatten)
+    },
+    sections: timetables.map(timetable => ({
+      heading: timetable.batch,
+      subheading: `${timetable.classCount} classes a week`,
+      columns,
+      rows: flatten(timetable)
+    }))
+  };
+}
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+}
+
+// Self-contained page for the browser's Print / Save as PDF; each section starts a new page
+function renderPrintableHtml(exportDoc, { subtitle = '', generatedAt = new Date() } = {}) {
+  const renderSection = section => `
+    <section>
+      ${section.heading ? `<h2>${escapeHtml(section.heading)}</h2>` : ''}
+      ${section.subheading ? `<p class="muted">${escapeHtml(section.subheading)}</p>` : ''}
+      ${section.rows.length === 0 ? '<p class="muted">Nothing scheduled.</p>' : `
+      <table>
+        <thead><tr>${section.columns.map(column => `<th>${escapeHtml(column.label)}</th>`).join('')}</tr></thead>
+        <tbody>
+          ${section.rows.map(row => `<tr>${section.columns.map(column =>
+            `<td>${escapeHtml(row[column.key]).replace(/\n/g, '<br>')}</td>`).join('')}</tr>`).join('\n          ')}
+        </tbody>
+      </table>`}
+    </section>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <title>${escapeHtml(exportDoc.title)}</title>
+  <style>
+    @page { size: A4 ${exportDoc.landscape ? 'landscape' : 'portrait'}; margin: 12mm; }
+    body { font-family: 'Segoe UI', Arial, sans-serif; color: #1e293b; margin: 24px; }
+    header { border-bottom: 2px solid #1e3a8a; margin-bottom: 16px; }
+    h1 { margin: 0; font-size: 20px; color: #1e3a8a; }
+    h2 { margin: 18px 0 4px; font-size: 16px; }
+    .muted { color: #64748b; margin: 2px 0 8px; font-size: 12px; }
+    table { width: 100%; border-collapse: collapse; font-size: 12px; }
+    th, td { border: 1px solid #cbd5e1; padding: 4px 6px; text-align: left; vertical-align: top; }
+    th { background: #e2e8f0; }
+    .print-btn { float: right; padding: 6px 14px; cursor: pointer; }
+    @media print {
+      .print-btn { display: none; }
+      body { margin: 0; }
+      section + section { page-break-before: always; }
+    }
+  </style>
+</head>
+<body>
+  <header>
+    <button class="print-btn" onclick="window.print()">Print / Save as PDF</button>
+    <h1>${escapeHtml(exportDoc.title)}</h1>
+    <p class="muted">Department of Computer Science &amp; Engineering${subtitle ? ` · ${escapeHtml(subtitle)}` : ''} · Generated ${getZonedClock(generatedAt).dateKey}</p>
+  </header>
+  ${exportDoc.sections.map(renderSection).join('\n')}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  EXPORT_TYPES,
+  buildDirectoryExport,
+  buildRoutinesExport,
+  buildRoomsExport,
+  buildBatchesExport,
+  renderPrintableHtml
+};
@@ -0,0 +1,87 @@
+// Server-Sent Events hub for pushing faculty changes to displays and admin panels.
+// Each connected client gets only the records that changed, instead of polling
+// the full /api/faculty list.
+
+const HEARTBEAT_INTERVAL_MS = 25000; // Keep proxies (Render) from closing idle streams
+const CLIENT_RETRY_MS = 5000;
+
+class FacultyEventStream {
+  constructor() {
+    this.clients = new Set();
+    this.heartbeatTimer = null;
+    this.nextEventId = 1;
+  }
+
+  subscribe(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    this.write(res, `retry: ${CLIENT_RETRY_MS}\n\n`);
+    this.write(res, `event: ready\ndata: ${JSON.stringify({ clients: this.clients.size + 1 })}\n\n`);
+
+    this.clients.add(res);
+    this.startHeartbeat();
+
+    req.on('close', () => {
+      this.clients.delete(res);
+      if (this.clients.size === 0) {
+        this.stopHeartbeat();
+      }
+    });
+  }
+
+  publish(event, data) {
+    if (this.clients.size === 0) return;
+
+    const payload = `id: ${this.nextEventId++}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    for (const res of this.clients) {
+      this.write(res, payload);
+    }
+  }
+
+  write(res, chunk) {
+    try {
+      res.write(chunk);
+      // compression() buffers responses; flush so events reach the client immediately
+      if (typeof res.flush === 'function') {
+        res.flush();
+      }
+    } catch (error) {
+      console.error('⚠️ Failed to write to SSE client:', error.message);
+      this.clients.delete(res);
+    }
+  }
+
+  startHeartbeat() {
+    if (this.heartbeatTimer) return;
+    this.heartbeatTimer = setInterval(() => {
+      for (const res of this.clients) {
+        this.write(res, `: heartbeat ${Date.now()}\n\n`);
+      }
+    }, HEARTBEAT_INTERVAL_MS);
+  }
+
+  stopHeartbeat() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+
+  close() {
+    this.stopHeartbeat();
+    for (const res of this.clients) {
+      try {
+        res.end();
+      } catch (error) {
+        // Client already gone
+      }
+    }
+    this.clients.clear();
+  }
+}
+
+module.exports = FacultyEventStream;
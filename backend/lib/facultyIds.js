@@ -0,0 +1,41 @@
+// Stable identifiers for faculty records. A record's facultyId is derived from its
+// name once, when it is created, and never changes afterwards: renaming someone
+// keeps their login, history and calendar links attached to the same id.
+
+const FACULTY_ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const MAX_FACULTY_ID_LENGTH = 60;
+
+// "Dr. Md. Abdul Karim (PhD)" -> "dr-md-abdul-karim-phd"
+function slugifyFacultyName(name) {
+  const slug = String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, MAX_FACULTY_ID_LENGTH)
+    .replace(/-+$/, '');
+  return slug || 'faculty';
+}
+
+// Slug for `name` that is not in `takenIds` (a Set), suffixed -2, -3, ... when needed
+function makeUniqueFacultyId(name, takenIds) {
+  const base = slugifyFacultyName(name);
+  let facultyId = base;
+  let suffix = 1;
+  while (takenIds.has(facultyId)) {
+    suffix += 1;
+    facultyId = `${base}-${suffix}`;
+  }
+  return facultyId;
+}
+
+function isFacultyId(value) {
+  return typeof value === 'string' && FACULTY_ID_PATTERN.test(value);
+}
+
+module.exports = {
+  slugifyFacultyName,
+  makeUniqueFacultyId,
+  isFacultyId
+};
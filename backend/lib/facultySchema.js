@@ -0,0 +1,316 @@
+// The faculty record schema, enforced on every path that writes faculty records:
+// the admin API, faculty.json reconciliation and the initial JSON import.
+// Validators return { value } with a normalized record, or { error, errors } where
+// `errors` lists each problem as { field, message } ("officeHours.Monday[0]").
+// Schedule entries also carry { section, day, index } so forms can point at the row.
+
+const { WEEK_DAYS } = require('./schedule');
+const { normalizeRoomCode } = require('./rooms');
+const { STATUS_VALUES } = require('./statuses');
+
+// Fields an admin or the file may set
+const FACULTY_FIELDS = ['name', 'designation', 'contact', 'email', 'image', 'precedence', 'weekend', 'officeHours', 'classTimes'];
+
+// Fields the server maintains itself; accepted in input (faculty.json snapshots
+// carry them) but never taken from it
+const SERVER_FIELDS = [
+  '_id', 'facultyId', 'status', 'statusChangedAt', 'manualOverride', 'overrideExpiry',
+  'overrideSource', 'overrideSetBy', 'createdAt', 'updatedAt'
+];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?\d[\d\s-]{5,19}$/;
+const IMAGE_PATTERN = /^(\/|https?:\/\/)\S+$/;
+
+const TEXT_LIMITS = { name: 100, designation: 100, contact: 30, email: 100, image: 300 };
+
+// An old-style office-hour day (["09:00", "17:00"]) as a list of ranges
+function isLegacyOfficePair(value) {
+  return Array.isArray(value) && value.length === 2 && value.every(part => typeof part === 'string');
+}
+
+// Office hours with every legacy pair rewritten as a one-range list; `changed` is
+// false when there was nothing to rewrite
+function normalizeLegacyOfficeHours(officeHours) {
+  if (!officeHours || typeof officeHours !== 'object' || Array.isArray(officeHours)) {
+    return { officeHours, changed: false };
+  }
+
+  let changed = false;
+  const normalized = {};
+  Object.entries(officeHours).forEach(([day, value]) => {
+    if (isLegacyOfficePair(value)) {
+      normalized[day] = [[value[0], value[1]]];
+      changed = true;
+    } else {
+      normalized[day] = value;
+    }
+  });
+  return { officeHours: normalized, changed };
+}
+
+function validateText(field, raw, errors, { pattern, message } = {}) {
+  if (raw === undefined || raw === null) return '';
+  if (typeof raw !== 'string' && typeof raw !== 'number') {
+    errors.push({ field, message: 'must be text' });
+    return '';
+  }
+
+  const value = String(raw).trim();
+  if (value.length > TEXT_LIMITS[field]) {
+    errors.push({ field, message: `must be ${TEXT_LIMITS[field]} characters or fewer` });
+  } else if (value && pattern && !pattern.test(value)) {
+    errors.push({ field, message });
+  }
+  return value;
+}
+
+function validateWeekend(raw, errors) {
+  if (raw === undefined || raw === null) return [];
+  if (!Array.isArray(raw)) {
+    errors.push({ field: 'weekend', message: 'must be a list of days' });
+    return [];
+  }
+
+  raw.forEach((day, index) => {
+    if (!WEEK_DAYS.includes(day)) {
+      errors.push({ field: `weekend[${index}]`, message: `must be one of ${WEEK_DAYS.join(', ')}` });
+    }
+  });
+  return [...new Set(raw.filter(day => WEEK_DAYS.includes(day)))];
+}
+
+// A start/end pair; pushes an error and returns false when either time is bad
+function validateRange(field, start, end, errors, location) {
+  if (!TIME_PATTERN.test(start || '') || !TIME_PATTERN.test(end || '')) {
+    errors.push({ field, message: 'start and end must be times in HH:MM format', ...location });
+    return false;
+  }
+  if (start >= end) {
+    errors.push({ field, message: `must end after it starts (${start}-${end})`, ...location });
+    return false;
+  }
+  return true;
+}
+
+function validateDayMap(section, raw, errors) {
+  if (raw === undefined || raw === null) return null;
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    errors.push({ field: section, message: 'must be an object keyed by day' });
+    return null;
+  }
+
+  const unknown = Object.keys(raw).filter(day => !WEEK_DAYS.includes(day));
+  unknown.forEach(day => errors.push({ field: `${section}.${day}`, message: 'is not a day of the week' }));
+  return Object.entries(raw).filter(([day]) => WEEK_DAYS.includes(day));
+}
+
+// { Day: [[start, end], ...] }, accepting legacy ["start", "end"] pairs per day
+function validateOfficeHours(raw, errors) {
+  const days = validateDayMap('officeHours', raw, errors);
+  if (!days) return {};
+
+  const officeHours = {};
+  days.forEach(([day, value]) => {
+    const ranges = isLegacyOfficePair(value) ? [value] : value;
+    if (!Array.isArray(ranges)) {
+      errors.push({ field: `officeHours.${day}`, message: 'must be a list of [start, end] ranges' });
+      return;
+    }
+
+    const valid = [];
+    ranges.forEach((range, index) => {
+      const field = `officeHours.${day}[${index}]`;
+      const location = { section: 'officeHours', day, index };
+      if (!Array.isArray(range) || range.length !== 2) {
+        errors.push({ field, message: 'must be a [start, end] range', ...location });
+      } else if (validateRange(field, range[0], range[1], errors, location)) {
+        valid.push([range[0], range[1]]);
+      }
+    });
+
+    if (valid.length > 0) {
+      officeHours[day] = valid.sort((a, b) => a[0].localeCompare(b[0]));
+    }
+  });
+  return officeHours;
+}
+
+// { Day: [{ start, end, room, batch }, ...] }
+function validateClassTimes(raw, errors) {
+  const days = validateDayMap('classTimes', raw, errors);
+  if (!days) return {};
+
+  const classTimes = {};
+  days.forEach(([day, classes]) => {
+    if (!Array.isArray(classes)) {
+      errors.push({ field: `classTimes.${day}`, message: 'must be a list of classes' });
+      return;
+    }
+
+    const valid = [];
+    classes.forEach((cls, index) => {
+      const field = `classTimes.${day}[${index}]`;
+      const location = { section: 'classTimes', day, index };
+      if (!cls || typeof cls !== 'object' || Array.isArray(cls)) {
+        errors.push({ field, message: 'must be a class with start, end, room and batch', ...location });
+      } else if (validateRange(field, cls.start, cls.end, errors, location)) {
+        valid.push({
+          start: cls.start,
+          end: cls.end,
+          room: normalizeRoomCode(cls.room),
+          batch: String(cls.batch || '').trim()
+        });
+      }
+    });
+
+    if (valid.length > 0) {
+      classTimes[day] = valid.sort((a, b) => a.start.localeCompare(b.start));
+    }
+  });
+  return classTimes;
+}
+
+function validatePrecedence(raw, errors) {
+  if (raw === undefined || raw === null || raw === '') return undefined;
+  const precedence = Number(raw);
+  if (!Number.isInteger(precedence) || precedence < 0 || precedence > 10000) {
+    errors.push({ field: 'precedence', message: 'must be a whole number between 0 and 10000' });
+    return undefined;
+  }
+  return precedence;
+}
+
+function toResult(value, errors) {
+  if (errors.length > 0) {
+    const [first] = errors;
+    return {
+      error: errors.length === 1
+        ? `${first.field} ${first.message}`
+        : `${errors.length} invalid fields, starting with ${first.field}: ${first.message}`,
+      errors
+    };
+  }
+  return { value };
+}
+
+// The normalized record and every problem found; invalid schedule entries are left out of `value`
+function checkFacultyRecord(body, partial) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { value: null, errors: [{ field: 'body', message: 'must be a faculty record object' }] };
+  }
+
+  const errors = [];
+  Object.keys(body)
+    .filter(key => !FACULTY_FIELDS.includes(key) && !SERVER_FIELDS.includes(key))
+    .forEach(key => errors.push({ field: key, message: 'is not a faculty field' }));
+
+  const has = field => body[field] !== undefined;
+  const value = {};
+
+  if (!partial || has('name')) {
+    value.name = validateText('name', body.name, errors);
+    if (!value.name) errors.push({ field: 'name', message: 'is required' });
+  }
+  if (!partial || has('designation')) value.designation = validateText('designation', body.designation, errors);
+  if (!partial || has('contact')) {
+    value.contact = validateText('contact', body.contact, errors, {
+      pattern: PHONE_PATTERN,
+      message: 'must be a phone number (digits, spaces, dashes, optional leading +)'
+    });
+  }
+  if (!partial || has('email')) {
+    value.email = validateText('email', body.email, errors, {
+      pattern: EMAIL_PATTERN,
+      message: 'must be an email address'
+    }).toLowerCase();
+  }
+  if (!partial || has('image')) {
+    value.image = validateText('image', body.image, errors, {
+      pattern: IMAGE_PATTERN,
+      message: 'must be a path like /images/photo.jpg or a URL'
+    }) || '/images/default.jpg';
+  }
+  if (has('precedence')) {
+    const precedence = validatePrecedence(body.precedence, errors);
+    if (precedence !== undefined) value.precedence = precedence;
+  }
+  if (!partial || has('weekend')) value.weekend = validateWeekend(body.weekend, errors);
+  if (!partial || has('officeHours')) value.officeHours = validateOfficeHours(body.officeHours, errors);
+  if (!partial || has('classTimes')) value.classTimes = validateClassTimes(body.classTimes, errors);
+
+  return { value, errors };
+}
+
+// Validate a faculty record. With `partial`, only the fields present are checked
+// and returned (for updates); otherwise `name` is required and every field is set.
+// Server-maintained fields are dropped; anything else unknown is an error.
+function validateFacultyRecord(body, { partial = false } = {}) {
+  const { value, errors } = checkFacultyRecord(body, partial);
+  return toResult(value, errors);
+}
+
+// For imports that should not lose a whole member over one bad entry: the record
+// without its invalid parts, plus what was left out. `value` is null without a name.
+function sanitizeFacultyRecord(body) {
+  const { value, errors } = checkFacultyRecord(body, false);
+  return { value: value?.name ? value : null, errors };
+}
+
+// Status overrides as sent to /api/update, one or a list. An override is a status
+// value with a future expiry; clearing one (manualOverride null) ignores the expiry.
+// `value` is the list as [{ ref, manualOverride, overrideExpiry }], ref being the
+// facultyId or, from older clients, the name. Fields of list entries read "[0].manualOverride".
+function validateOverrides(body, now = new Date()) {
+  const list = Array.isArray(body) ? body : [body];
+  const errors = [];
+  if (list.length === 0) {
+    return toResult([], [{ field: 'body', message: 'must list at least one override' }]);
+  }
+
+  const value = list.map((entry, index) => {
+    const prefix = Array.isArray(body) ? `[${index}].` : '';
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      errors.push({ field: prefix.slice(0, -1) || 'body', message: 'must be an override object' });
+      return null;
+    }
+
+    const ref = entry.facultyId || entry.name;
+    if (!ref || typeof ref !== 'string') {
+      errors.push({ field: `${prefix}facultyId`, message: 'is required' });
+    }
+
+    const manualOverride = entry.manualOverride === undefined || entry.manualOverride === '' ? null : entry.manualOverride;
+    if (manualOverride !== null && !STATUS_VALUES.includes(manualOverride)) {
+      errors.push({ field: `${prefix}manualOverride`, message: `must be null or one of ${STATUS_VALUES.join(', ')}` });
+    }
+
+    let overrideExpiry = null;
+    if (manualOverride !== null) {
+      overrideExpiry = typeof entry.overrideExpiry === 'string' ? new Date(entry.overrideExpiry) : null;
+      if (!overrideExpiry || isNaN(overrideExpiry.getTime())) {
+        errors.push({ field: `${prefix}overrideExpiry`, message: 'must be an ISO date' });
+      } else if (overrideExpiry <= now) {
+        errors.push({ field: `${prefix}overrideExpiry`, message: 'must be in the future' });
+      }
+    }
+
+    return { ref, manualOverride, overrideExpiry };
+  });
+
+  return toResult(value, errors);
+}
+
+module.exports = {
+  FACULTY_FIELDS,
+  SERVER_FIELDS,
+  isLegacyOfficePair,
+  normalizeLegacyOfficeHours,
+  validateFacultyRecord,
+  sanitizeFacultyRecord,
+  validateOverrides,
+  validateWeekend,
+  validateOfficeHours,
+  validateClassTimes
+};
@@ -0,0 +1,262 @@
+// iCalendar (RFC 5545) feeds of the weekly routine for calendar apps.
+// Weekly classes and office hours become recurring events; days they do not
+// happen (holidays, exams, makeup days, approved leave, manual overrides) are
+// listed as EXDATEs, and makeup days get one-off events of their own.
+
+const crypto = require('crypto');
+const {
+  TIME_ZONE,
+  addDays,
+  listDateKeys,
+  zonedTimeToDate,
+  normalizeOfficeRanges,
+  hasActiveOverride
+} = require('./schedule');
+const { resolveCalendarDay } = require('./calendar');
+const { normalizeRoomCode } = require('./rooms');
+
+const PRODUCT_ID = '-//Faculty Status Display//Routine Feed//EN';
+const UID_DOMAIN = 'faculty-status-display';
+const DAY_CODES = {
+  Sunday: 'SU',
+  Monday: 'MO',
+  Tuesday: 'TU',
+  Wednesday: 'WE',
+  Thursday: 'TH',
+  Friday: 'FR',
+  Saturday: 'SA'
+};
+
+// How far ahead exceptions are listed when the routine has no end date
+const OPEN_ENDED_HORIZON_DAYS = 365;
+
+// Bangladesh has no daylight saving time, so one fixed offset covers every date
+const DHAKA_TIMEZONE = [
+  'BEGIN:VTIMEZONE',
+  `TZID:${TIME_ZONE}`,
+  'BEGIN:STANDARD',
+  'DTSTART:19700101T000000',
+  'TZOFFSETFROM:+0600',
+  'TZOFFSETTO:+0600',
+  'TZNAME:+06',
+  'END:STANDARD',
+  'END:VTIMEZONE'
+];
+
+function escapeIcsText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Content lines are folded at 75 octets, continuation lines start with a space
+function foldIcsLine(line) {
+  const chunks = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const length = Buffer.byteLength(char);
+    if (size + length > (chunks.length === 0 ? 75 : 74)) {
+      chunks.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += length;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+}
+
+function formatLocalDateTime(dateKey, time) {
+  return `${dateKey.replace(/-/g, '')}T${time.replace(':', '')}00`;
+}
+
+function formatUtcDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function makeUid(...parts) {
+  const hash = crypto.createHash('sha1').update(parts.join('|')).digest('hex').slice(0, 20);
+  return `${hash}@${UID_DOMAIN}`;
+}
+
+// Flatten faculty routines into weekly slots:
+// { facultyId, facultyName, kind: "class" | "office", day, start, end, room, batch }
+function listRoutineSlots(faculty, { includeOfficeHours = false } = {}) {
+  return faculty.flatMap(member => {
+    const slots = [];
+    Object.entries(member.classTimes || {}).forEach(([day, classes]) => {
+      (Array.isArray(classes) ? classes : []).forEach(cls => {
+        if (DAY_CODES[day] && cls?.start && cls?.end && cls.start < cls.end) {
+          slots.push({
+            facultyId: member.facultyId,
+            facultyName: member.name,
+            kind: 'class',
+            day,
+            start: cls.start,
+            end: cls.end,
+            room: normalizeRoomCode(cls.room) || null,
+            batch: String(cls.batch || '').trim() || null
+          });
+        }
+      });
+    });
+
+    if (includeOfficeHours) {
+      Object.entries(member.officeHours || {}).forEach(([day, value]) => {
+        normalizeOfficeRanges(value).forEach(([start, end]) => {
+          if (DAY_CODES[day] && start && end && start < end) {
+            slots.push({
+              facultyId: member.facultyId,
+              facultyName: member.name,
+              kind: 'office',
+              day,
+              start,
+              end,
+              room: null,
+              batch: null
+            });
+          }
+        });
+      });
+    }
+
+    return slots;
+  });
+}
+
+// Whether `slot` runs on `dateKey`, given that date's calendar day (lib/calendar.js)
+function slotRunsOn(slot, calendarDay, { leaves = [], faculty = null, now = new Date() } = {}) {
+  if (calendarDay.holiday || calendarDay.scheduleDay !== slot.day) {
+    return false;
+  }
+  if (slot.kind === 'class' && calendarDay.exam) {
+    return false;
+  }
+  if (leaves.some(leave => leave.facultyId === slot.facultyId &&
+    leave.startDate <= calendarDay.dateKey && leave.endDate >= calendarDay.dateKey)) {
+    return false;
+  }
+  if (faculty && hasActiveOverride(faculty, now)) {
+    const start = zonedTimeToDate(calendarDay.dateKey, slot.start);
+    const end = zonedTimeToDate(calendarDay.dateKey, slot.end);
+    if (end > now && start < new Date(faculty.overrideExpiry)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function buildEvent({ uid, summary, location, description, start, end, rrule, exdates = [], stamp }) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${stamp}`,
+    start.allDay ? `DTSTART;VALUE=DATE:${start.value}` : `DTSTART;TZID=${TIME_ZONE}:${start.value}`,
+    end.allDay ? `DTEND;VALUE=DATE:${end.value}` : `DTEND;TZID=${TIME_ZONE}:${end.value}`,
+    `SUMMARY:${escapeIcsText(summary)}`
+  ];
+  if (rrule) lines.push(`RRULE:${rrule}`);
+  if (exdates.length > 0) lines.push(`EXDATE;TZID=${TIME_ZONE}:${exdates.join(',')}`);
+  if (location) lines.push(`LOCATION:${escapeIcsText(location)}`);
+  if (description) lines.push(`DESCRIPTION:${escapeIcsText(description)}`);
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+// Build a VCALENDAR for `slots` (see listRoutineSlots) running from `fromKey`
+// until `untilKey` (inclusive, null when open-ended).
+// `describe(slot)` returns { summary, location, description } for a slot.
+// `leaves` are approved leaves, `faculty` the members whose overrides apply, and
+// `calendarEntries` the academic calendar entries covering the range.
+function buildRoutineCalendar({
+  name,
+  slots,
+  describe,
+  fromKey,
+  untilKey = null,
+  calendarEntries = [],
+  leaves = [],
+  faculty = [],
+  leaveEvents = false,
+  now = new Date()
+}) {
+  const stamp = formatUtcDateTime(now);
+  const lastKey = untilKey || addDays(fromKey, OPEN_ENDED_HORIZON_DAYS);
+  const calendarDays = listDateKeys(fromKey, lastKey).map(dateKey => resolveCalendarDay(calendarEntries, dateKey));
+  const facultyById = new Map(faculty.map(member => [member.facultyId, member]));
+  const until = untilKey ? formatUtcDateTime(zonedTimeToDate(addDays(untilKey, 1))) : null;
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(name)}`,
+    `X-WR-TIMEZONE:${TIME_ZONE}`,
+    ...DHAKA_TIMEZONE
+  ];
+
+  slots.forEach(slot => {
+    const context = { leaves, faculty: facultyById.get(slot.facultyId), now };
+    const weekdayDates = calendarDays.filter(day => day.day === slot.day);
+    if (weekdayDates.length === 0) return;
+
+    const firstKey = weekdayDates[0].dateKey;
+    const exdates = weekdayDates
+      .filter(day => !slotRunsOn(slot, day, context))
+      .map(day => formatLocalDateTime(day.dateKey, slot.start));
+    const key = [slot.facultyName, slot.kind, slot.day, slot.start, slot.end, slot.room, slot.batch];
+
+    lines.push(...buildEvent({
+      uid: makeUid(...key),
+      ...describe(slot),
+      start: { value: formatLocalDateTime(firstKey, slot.start) },
+      end: { value: formatLocalDateTime(firstKey, slot.end) },
+      rrule: `FREQ=WEEKLY;BYDAY=${DAY_CODES[slot.day]}${until ? `;UNTIL=${until}` : ''}`,
+      exdates,
+      stamp
+    }));
+
+    // Makeup days run another weekday's routine as one-off events
+    calendarDays
+      .filter(day => day.makeup && day.scheduleDay === slot.day && day.day !== slot.day && slotRunsOn(slot, day, context))
+      .forEach(day => {
+        const details = describe(slot);
+        lines.push(...buildEvent({
+          uid: makeUid(...key, day.dateKey),
+          ...details,
+          description: [details.description, `${day.makeup} (${slot.day} routine)`].filter(Boolean).join('\n'),
+          start: { value: formatLocalDateTime(day.dateKey, slot.start) },
+          end: { value: formatLocalDateTime(day.dateKey, slot.end) },
+          stamp
+        }));
+      });
+  });
+
+  if (leaveEvents) {
+    leaves.forEach(leave => {
+      lines.push(...buildEvent({
+        uid: makeUid('leave', String(leave._id || `${leave.facultyName}|${leave.startDate}`)),
+        summary: `On leave: ${leave.facultyName}`,
+        start: { allDay: true, value: leave.startDate.replace(/-/g, '') },
+        end: { allDay: true, value: addDays(leave.endDate, 1).replace(/-/g, '') },
+        stamp
+      }));
+    });
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  escapeIcsText,
+  foldIcsLine,
+  listRoutineSlots,
+  buildRoutineCalendar
+};
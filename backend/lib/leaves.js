@@ -0,0 +1,47 @@
+const { isDateKey, addDays } = require('./schedule');
+
+const LEAVE_TYPES = {
+  casual: "Casual Leave",
+  medical: "Medical Leave",
+  official_duty: "Official Duty"
+};
+
+const LEAVE_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+
+const MAX_LEAVE_DAYS = 90;
+
+// Returns { value } with a normalized leave request, or { error }
+function validateLeaveRequest(body) {
+  const type = String(body?.type || '').trim();
+  const startDate = String(body?.startDate || '').trim();
+  const endDate = String(body?.endDate || startDate).trim();
+  const reason = String(body?.reason || '').trim();
+
+  if (!LEAVE_TYPES[type]) {
+    return { error: `Leave type must be one of: ${Object.keys(LEAVE_TYPES).join(', ')}` };
+  }
+
+  if (!isDateKey(startDate) || !isDateKey(endDate)) {
+    return { error: "startDate and endDate must be dates in YYYY-MM-DD format" };
+  }
+
+  if (endDate < startDate) {
+    return { error: "endDate must not be before startDate" };
+  }
+
+  if (addDays(startDate, MAX_LEAVE_DAYS) <= endDate) {
+    return { error: `A single leave cannot exceed ${MAX_LEAVE_DAYS} days` };
+  }
+
+  if (reason.length > 500) {
+    return { error: "Reason must be 500 characters or fewer" };
+  }
+
+  return { value: { type, startDate, endDate, reason } };
+}
+
+module.exports = {
+  LEAVE_TYPES,
+  LEAVE_STATUSES,
+  validateLeaveRequest
+};
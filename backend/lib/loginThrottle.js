@@ -0,0 +1,64 @@
+// Brute-force protection for the login route. Failed attempts are counted per
+// username and per client IP; past a few free failures each further attempt must
+// wait exponentially longer, and enough failures lock the key out for a while.
+// Blocked attempts are refused before any password hashing runs.
+
+// IPs get more room: a campus network puts many people behind one address
+const LOGIN_THROTTLE_POLICIES = {
+  username: { freeFailures: 3, lockoutAfter: 10 },
+  ip: { freeFailures: 10, lockoutAfter: 50 }
+};
+
+const BACKOFF_BASE_MS = 1000;
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+const LOCKOUT_MS = 15 * 60 * 1000;
+// Failures older than this no longer count
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// The counters a login attempt touches, as { key, kind, value }
+function getThrottleKeys(ip, username) {
+  return [
+    { key: `ip:${ip || 'unknown'}`, kind: 'ip', value: ip || 'unknown' },
+    ...(username ? [{ key: `user:${username}`, kind: 'username', value: username }] : [])
+  ];
+}
+
+// How long after the latest failure the next attempt is refused: 0 while the failures
+// are free, then 1s, 2s, 4s, ... up to MAX_BACKOFF_MS
+function getBackoffMs(kind, failures) {
+  const extra = failures - LOGIN_THROTTLE_POLICIES[kind].freeFailures;
+  return extra > 0 ? Math.min(BACKOFF_BASE_MS * 2 ** (extra - 1), MAX_BACKOFF_MS) : 0;
+}
+
+// { nextAllowedAt, lockedUntil } for a counter that has just reached `failures`
+function getThrottleDeadlines(kind, failures, now = new Date()) {
+  return {
+    nextAllowedAt: new Date(now.getTime() + getBackoffMs(kind, failures)),
+    lockedUntil: failures >= LOGIN_THROTTLE_POLICIES[kind].lockoutAfter
+      ? new Date(now.getTime() + LOCKOUT_MS)
+      : null
+  };
+}
+
+// Milliseconds until the stored counters allow another attempt (0 when allowed),
+// and whether a lockout rather than a backoff is the reason
+function getLoginRetryAfter(records, now = new Date()) {
+  let retryAfterMs = 0;
+  let locked = false;
+  records.forEach(record => {
+    const lockWait = record.lockedUntil ? record.lockedUntil - now : 0;
+    const backoffWait = record.nextAllowedAt ? record.nextAllowedAt - now : 0;
+    if (lockWait > 0) locked = true;
+    retryAfterMs = Math.max(retryAfterMs, lockWait, backoffWait);
+  });
+  return { retryAfterMs, locked };
+}
+
+module.exports = {
+  LOGIN_THROTTLE_POLICIES,
+  FAILURE_WINDOW_MS,
+  getThrottleKeys,
+  getBackoffMs,
+  getThrottleDeadlines,
+  getLoginRetryAfter
+};
@@ -0,0 +1,99 @@
+// Outgoing mail, for password reset links. Transports share one interface:
+//   send({ to, subject, text }) -> resolves once the message is handed off
+// Pick one with MAIL_TRANSPORT = console (default) | file | smtp. The console and
+// file transports only record the message, for local testing.
+
+const fs = require('fs');
+const path = require('path');
+
+const MAIL_TRANSPORTS = ['console', 'file', 'smtp'];
+
+function formatMessage({ from, to, subject, text }) {
+  return [`From: ${from}`, `To: ${to}`, `Subject: ${subject}`, `Date: ${new Date().toUTCString()}`, '', text].join('\n');
+}
+
+function createConsoleTransport({ from }) {
+  return {
+    name: 'console',
+
+    async send(message) {
+      console.log(`📧 Mail (console transport):\n${formatMessage({ from, ...message })}`);
+    }
+  };
+}
+
+// One .eml file per message in `dir`
+function createFileTransport({ from, dir }) {
+  return {
+    name: 'file',
+
+    async send(message) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const safeTo = String(message.to).replace(/[^\w.@-]+/g, '_');
+      const file = path.join(dir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${safeTo}.eml`);
+      await fs.promises.writeFile(file, formatMessage({ from, ...message }));
+      console.log(`📧 Mail to ${message.to} written to ${file}`);
+    }
+  };
+}
+
+function createSmtpTransport({ from, host, port, secure, user, pass }) {
+  // Loaded here so the other transports work without nodemailer installed
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+
+    async send({ to, subject, text }) {
+      await transporter.sendMail({ from, to, subject, text });
+    }
+  };
+}
+
+// Transport configured by the environment:
+//   MAIL_TRANSPORT   console | file | smtp (default console)
+//   MAIL_FROM        sender address (default "Faculty Status <no-reply@localhost>")
+//   MAIL_FILE_DIR    directory for the file transport (default: <backend>/mail)
+//   SMTP_HOST, SMTP_PORT (default 587), SMTP_SECURE ("true" for port 465), SMTP_USER, SMTP_PASS
+function createMailTransport(env, { defaultRoot }) {
+  const transport = (env.MAIL_TRANSPORT || 'console').toLowerCase();
+  if (!MAIL_TRANSPORTS.includes(transport)) {
+    throw new Error(`MAIL_TRANSPORT must be one of: ${MAIL_TRANSPORTS.join(', ')}`);
+  }
+
+  const from = env.MAIL_FROM || 'Faculty Status <no-reply@localhost>';
+
+  if (transport === 'smtp') {
+    if (!env.SMTP_HOST) {
+      throw new Error('SMTP mail needs SMTP_HOST (and usually SMTP_USER and SMTP_PASS)');
+    }
+    return createSmtpTransport({
+      from,
+      host: env.SMTP_HOST,
+      port: Number(env.SMTP_PORT) || 587,
+      secure: env.SMTP_SECURE === 'true',
+      user: env.SMTP_USER || null,
+      pass: env.SMTP_PASS || null
+    });
+  }
+
+  if (transport === 'file') {
+    return createFileTransport({ from, dir: env.MAIL_FILE_DIR || path.join(defaultRoot, 'mail') });
+  }
+
+  return createConsoleTransport({ from });
+}
+
+module.exports = {
+  MAIL_TRANSPORTS,
+  createConsoleTransport,
+  createFileTransport,
+  createSmtpTransport,
+  createMailTransport
+};
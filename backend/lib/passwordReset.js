@@ -0,0 +1,57 @@
+// Self-service password reset. A reset link carries a random token that is stored
+// only as a hash, expires after RESET_TOKEN_TTL_MS and works once.
+
+const crypto = require('crypto');
+
+const RESET_TOKEN_TTL_MS = 30 * 60 * 1000;
+// One link per account in this window; a second request is answered but not sent
+const RESET_REQUEST_COOLDOWN_MS = 2 * 60 * 1000;
+// Reset requests one IP may make per hour, whatever the accounts or the outcome
+const MAX_RESET_REQUESTS_PER_IP = 10;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function createResetToken() {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return { token, hash: hashResetToken(token) };
+}
+
+function hashResetToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Where a user's reset mail goes: their faculty email, or the username when it is one
+function getResetEmail(user) {
+  const candidates = [user.linkedFacultyEmail, user.username];
+  return candidates.find(candidate => EMAIL_PATTERN.test(String(candidate || '').trim())) || null;
+}
+
+function buildResetLink(baseUrl, token) {
+  return `${String(baseUrl).replace(/\/+$/, '')}/reset-password.html?token=${encodeURIComponent(token)}`;
+}
+
+function buildPasswordResetEmail({ username, link }) {
+  const minutes = Math.round(RESET_TOKEN_TTL_MS / 60000);
+  return {
+    subject: 'Reset your Faculty Status password',
+    text: [
+      `Someone asked to reset the password for ${username}.`,
+      '',
+      `Choose a new password here (the link works once and expires in ${minutes} minutes):`,
+      link,
+      '',
+      'If this was not you, ignore this email; your password stays the same.'
+    ].join('\n')
+  };
+}
+
+module.exports = {
+  RESET_TOKEN_TTL_MS,
+  RESET_REQUEST_COOLDOWN_MS,
+  MAX_RESET_REQUESTS_PER_IP,
+  createResetToken,
+  hashResetToken,
+  getResetEmail,
+  buildResetLink,
+  buildPasswordResetEmail
+};
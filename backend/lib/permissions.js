@@ -0,0 +1,125 @@
+// Permission model. Every protected action checks a named permission; a role is
+// a bundle of permissions stored in the roles collection, and each user has one
+// role. "admin" always holds every permission, so nobody can edit their way out of
+// the panel. "own" permissions only reach the faculty record a user is linked to.
+
+// Grouped for the admin UI, in display order
+const PERMISSIONS = {
+  'overrides.set.own': { group: 'Status overrides', description: 'Set their own status override' },
+  'overrides.set.others': { group: 'Status overrides', description: "Set anyone's status override" },
+  'history.view.any': { group: 'Status overrides', description: "View anyone's status history" },
+  'faculty.edit.own': { group: 'Faculty', description: 'Edit their own faculty profile' },
+  'faculty.edit.any': { group: 'Faculty', description: 'Edit any faculty record, schedules and photos' },
+  'faculty.create': { group: 'Faculty', description: 'Add faculty members' },
+  'faculty.delete': { group: 'Faculty', description: 'Delete faculty members and their accounts' },
+  'faculty.sync': { group: 'Faculty', description: 'Review and apply faculty.json differences' },
+  'leaves.manage': { group: 'Leaves', description: 'Request, approve and reject leave for anyone' },
+  'calendar.manage': { group: 'Timetable', description: 'Edit the academic calendar' },
+  'rooms.manage': { group: 'Timetable', description: 'Edit the room registry' },
+  'semesters.manage': { group: 'Timetable', description: 'Edit semesters, semester schedules and import routines' },
+  'semesters.delete': { group: 'Timetable', description: 'Delete semesters' },
+  'reports.view': { group: 'Reports', description: 'View attendance reports and exports' },
+  'marquee.edit': { group: 'Display', description: 'Edit the marquee text' },
+  'ads.manage': { group: 'Display', description: 'Upload and delete ads' },
+  'deploy.run': { group: 'Deploy', description: 'Deploy their changes to the display site' },
+  'deploy.manage': { group: 'Deploy', description: 'View and retry deploy jobs' },
+  'deploy.configure': { group: 'Deploy', description: 'Change the deploy target' },
+  'users.manage': { group: 'Administration', description: 'Manage accounts, roles and login lockouts' },
+  'audit.view': { group: 'Administration', description: 'View the audit log' }
+};
+
+const PERMISSION_NAMES = Object.keys(PERMISSIONS);
+
+const ADMIN_ROLE = 'admin';
+
+// Seeded when missing. The built-in three reproduce the original admin/editor/user
+// split; office_assistant is a starting point that admins may change or delete.
+const DEFAULT_ROLES = [
+  {
+    name: ADMIN_ROLE,
+    label: 'Admin',
+    builtIn: true,
+    permissions: PERMISSION_NAMES
+  },
+  {
+    name: 'editor',
+    label: 'Editor',
+    builtIn: true,
+    permissions: [
+      'overrides.set.own', 'overrides.set.others', 'history.view.any',
+      'faculty.edit.own', 'faculty.edit.any', 'faculty.create',
+      'leaves.manage', 'calendar.manage', 'rooms.manage', 'semesters.manage',
+      'reports.view', 'marquee.edit', 'ads.manage', 'deploy.run', 'deploy.manage'
+    ]
+  },
+  {
+    name: 'user',
+    label: 'User',
+    builtIn: true,
+    permissions: ['overrides.set.own', 'faculty.edit.own', 'deploy.run']
+  },
+  {
+    name: 'office_assistant',
+    label: 'Office Assistant',
+    builtIn: false,
+    permissions: ['overrides.set.own', 'overrides.set.others', 'history.view.any']
+  }
+];
+
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_-]{1,31}$/;
+
+// The permissions a stored role grants; an unknown role grants none
+function getRolePermissions(role) {
+  if (!role) return [];
+  if (role.name === ADMIN_ROLE) return PERMISSION_NAMES;
+  return (role.permissions || []).filter(permission => PERMISSIONS[permission]);
+}
+
+function hasPermission(user, permission) {
+  return !!user && Array.isArray(user.permissions) && user.permissions.includes(permission);
+}
+
+// Returns { value: { name, label, permissions } } for a role definition, or { error }.
+// `name` is only read when creating; a role keeps its name for life.
+function validateRole(input, { creating = false } = {}) {
+  const value = {};
+
+  if (creating) {
+    value.name = String(input?.name || '').trim().toLowerCase();
+    if (!ROLE_NAME_PATTERN.test(value.name)) {
+      return { error: 'Role name must be 2-32 lowercase letters, digits, "_" or "-", starting with a letter' };
+    }
+  }
+
+  value.label = String(input?.label || '').trim();
+  if (!value.label || value.label.length > 60) {
+    return { error: 'Label is required (at most 60 characters)' };
+  }
+
+  if (!Array.isArray(input?.permissions)) {
+    return { error: 'permissions must be a list' };
+  }
+  const unknown = input.permissions.filter(permission => !PERMISSIONS[permission]);
+  if (unknown.length > 0) {
+    return { error: `Unknown permission(s): ${unknown.join(', ')}` };
+  }
+  value.permissions = PERMISSION_NAMES.filter(permission => input.permissions.includes(permission));
+
+  return { value };
+}
+
+// The catalog as a list, for the admin UI
+function listPermissions() {
+  return PERMISSION_NAMES.map(name => ({ name, ...PERMISSIONS[name] }));
+}
+
+module.exports = {
+  PERMISSIONS,
+  PERMISSION_NAMES,
+  ADMIN_ROLE,
+  DEFAULT_ROLES,
+  getRolePermissions,
+  hasPermission,
+  validateRole,
+  listPermissions
+};
@@ -0,0 +1,273 @@
+// Reconciliation between faculty.json and the faculty collection. Instead of one
+// side silently overwriting the other, both are compared field by field (weekly
+// schedules day by day) and an admin picks, per difference, which side wins.
+
+const crypto = require('crypto');
+const { WEEK_DAYS, normalizeOfficeRanges } = require('./schedule');
+const { normalizeRoomCode } = require('./rooms');
+const { validateFacultyRecord, sanitizeFacultyRecord } = require('./facultySchema');
+
+const PROFILE_FIELDS = ['designation', 'contact', 'email', 'image', 'precedence'];
+const DAY_FIELDS = ['officeHours', 'classTimes'];
+
+// Settings key with the hash of the faculty.json content last written or reviewed here
+const FACULTY_FILE_HASH_SETTING = 'facultyFileHash';
+
+// toDatabase: the file's value is written to MongoDB; toFile: the database's value to faculty.json
+const RECONCILE_DIRECTIONS = ['toDatabase', 'toFile'];
+
+// Differences are about the record as a whole (only on one side) or one path
+const DIFF_KINDS = {
+  ONLY_IN_FILE: 'only_in_file',
+  ONLY_IN_DATABASE: 'only_in_database',
+  CHANGED: 'changed'
+};
+
+function getPath(record, path) {
+  return path.split('.').reduce((value, part) => (value == null ? undefined : value[part]), record);
+}
+
+function setPath(record, path, value) {
+  const parts = path.split('.');
+  const last = parts.pop();
+  const parent = parts.reduce((object, part) => {
+    if (!object[part] || typeof object[part] !== 'object') object[part] = {};
+    return object[part];
+  }, record);
+
+  if (value === undefined) {
+    delete parent[last];
+  } else {
+    parent[last] = value;
+  }
+}
+
+function formatClass(cls) {
+  return [`${cls?.start}-${cls?.end}`, normalizeRoomCode(cls?.room), String(cls?.batch || '').trim()]
+    .filter(Boolean).join(' ');
+}
+
+// Comparable entries for a path: office ranges and classes as labels, weekend as days
+function listEntries(path, value) {
+  if (value == null) return [];
+  if (path === 'weekend') return Array.isArray(value) ? value.map(String) : [String(value)];
+  if (path.startsWith('officeHours.')) return normalizeOfficeRanges(value).map(([start, end]) => `${start}-${end}`);
+  if (path.startsWith('classTimes.')) return (Array.isArray(value) ? value : []).map(formatClass);
+  return [String(value).trim()];
+}
+
+// Only the fields both sides are expected to agree on; live status and overrides stay in the database
+function listComparedPaths(fileRecord, dbRecord) {
+  const days = field => WEEK_DAYS.filter(day =>
+    getPath(fileRecord, `${field}.${day}`) !== undefined || getPath(dbRecord, `${field}.${day}`) !== undefined);
+  return [...PROFILE_FIELDS, 'weekend', ...DAY_FIELDS.flatMap(field => days(field).map(day => `${field}.${day}`))];
+}
+
+function compareValues(path, fileValue, dbValue) {
+  const fileEntries = listEntries(path, fileValue);
+  const dbEntries = listEntries(path, dbValue);
+  const sorted = entries => [...entries].sort().join('\n');
+  if (sorted(fileEntries) === sorted(dbEntries)) return null;
+
+  return {
+    onlyInFile: fileEntries.filter(entry => !dbEntries.includes(entry)),
+    onlyInDatabase: dbEntries.filter(entry => !fileEntries.includes(entry))
+  };
+}
+
+// The part of a record that is shared between the file and the database. Records
+// are matched by name; facultyId is carried along so it survives a round trip.
+function pickSharedFields(record) {
+  const shared = record.facultyId ? { facultyId: record.facultyId, name: record.name } : { name: record.name };
+  [...PROFILE_FIELDS, 'weekend', ...DAY_FIELDS].forEach(field => {
+    if (record[field] !== undefined) shared[field] = record[field];
+  });
+  return shared;
+}
+
+// Per-field differences between faculty.json and the database, each with an `id`
+// the admin selects it by:
+//   { id, name, kind, path, file, database, onlyInFile, onlyInDatabase }
+// `kind` is only_in_file / only_in_database for whole records (path null) or changed.
+function buildReconcileDiff(fileFaculty, dbFaculty) {
+  const fileByName = new Map(fileFaculty.filter(record => record?.name).map(record => [record.name, record]));
+  const dbByName = new Map(dbFaculty.map(record => [record.name, record]));
+  const names = [...new Set([...fileByName.keys(), ...dbByName.keys()])].sort((a, b) => a.localeCompare(b));
+
+  const differences = [];
+  names.forEach(name => {
+    const fileRecord = fileByName.get(name);
+    const dbRecord = dbByName.get(name);
+
+    if (!dbRecord || !fileRecord) {
+      differences.push({
+        id: `${name}|*`,
+        name,
+        kind: dbRecord ? DIFF_KINDS.ONLY_IN_DATABASE : DIFF_KINDS.ONLY_IN_FILE,
+        path: null,
+        file: fileRecord ? pickSharedFields(fileRecord) : null,
+        database: dbRecord ? pickSharedFields(dbRecord) : null
+      });
+      return;
+    }
+
+    listComparedPaths(fileRecord, dbRecord).forEach(path => {
+      const fileValue = getPath(fileRecord, path);
+      const dbValue = getPath(dbRecord, path);
+      const entries = compareValues(path, fileValue, dbValue);
+      if (!entries) return;
+
+      differences.push({
+        id: `${name}|${path}`,
+        name,
+        kind: DIFF_KINDS.CHANGED,
+        path,
+        file: fileValue ?? null,
+        database: dbValue ?? null,
+        ...entries
+      });
+    });
+  });
+
+  return differences;
+}
+
+// Counts for the preview header
+function summarizeReconcileDiff(differences) {
+  return {
+    onlyInFile: differences.filter(diff => diff.kind === DIFF_KINDS.ONLY_IN_FILE).length,
+    onlyInDatabase: differences.filter(diff => diff.kind === DIFF_KINDS.ONLY_IN_DATABASE).length,
+    changedFields: differences.filter(diff => diff.kind === DIFF_KINDS.CHANGED).length,
+    faculty: new Set(differences.map(diff => diff.name)).size
+  };
+}
+
+function hashFacultyFile(text) {
+  return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+// Changes a preview was computed from; apply refuses to run if either side moved since
+function fingerprintReconcileInputs(fileText, dbFaculty) {
+  return crypto.createHash('sha1')
+    .update(fileText || '')
+    .update(JSON.stringify(dbFaculty.map(pickSharedFields).sort((a, b) => a.name.localeCompare(b.name))))
+    .digest('hex');
+}
+
+// Schema problems in each faculty.json record, as [{ name, errors }]
+function listInvalidFileRecords(fileFaculty) {
+  return fileFaculty
+    .map((record, index) => ({ name: record?.name || `Record #${index + 1}`, errors: validateFacultyRecord(record).errors }))
+    .filter(entry => entry.errors);
+}
+
+// Records headed for the database must pass the faculty schema. Inserts are
+// replaced by their normalized form and updates carry normalized values, so a
+// legacy office-hour pair from the file lands as a range list.
+function validateDatabaseChanges(database, dbFaculty) {
+  const dbByName = new Map(dbFaculty.map(record => [record.name, record]));
+  const errors = [];
+
+  const inserts = database.inserts.map(record => {
+    const result = validateFacultyRecord(record);
+    if (result.errors) errors.push(...result.errors.map(error => ({ name: record.name, ...error })));
+    return result.value ? { ...result.value, ...(record.facultyId ? { facultyId: record.facultyId } : {}) } : record;
+  });
+
+  const updates = database.updates.map(update => {
+    const merged = pickSharedFields(JSON.parse(JSON.stringify(dbByName.get(update.name) || { name: update.name })));
+    Object.entries(update.set).forEach(([path, value]) => setPath(merged, path, value));
+    update.unset.forEach(path => setPath(merged, path, undefined));
+
+    // Problems the database record already had elsewhere are not this update's concern
+    const paths = [...Object.keys(update.set), ...update.unset];
+    const result = sanitizeFacultyRecord(merged);
+    const pathErrors = result.errors.filter(error =>
+      paths.some(path => error.field === path || error.field.startsWith(`${path}[`) || error.field.startsWith(`${path}.`)));
+    if (pathErrors.length > 0 || !result.value) {
+      errors.push(...pathErrors.map(error => ({ name: update.name, ...error })));
+      return update;
+    }
+
+    // A path the normalized record no longer has (e.g. a day whose ranges were all empty) is unset
+    const set = {};
+    const unset = [...update.unset];
+    Object.keys(update.set).forEach(path => {
+      const value = getPath(result.value, path);
+      if (value === undefined) unset.push(path);
+      else set[path] = value;
+    });
+    return { name: update.name, set, unset };
+  });
+
+  return { database: { ...database, inserts, updates }, errors };
+}
+
+// Turn selections ([{ id, direction }]) into database operations and the new file.
+// Returns { database: { inserts, updates, deletes }, file, applied }, or { error }
+// with `errors` ([{ name, field, message }]) when file data fails the faculty schema.
+function planReconcileApply(differences, selections, fileFaculty, dbFaculty = []) {
+  const byId = new Map(differences.map(diff => [diff.id, diff]));
+  const database = { inserts: [], updates: new Map(), deletes: [] };
+  let file = fileFaculty.map(record => JSON.parse(JSON.stringify(record)));
+  const applied = [];
+
+  for (const selection of selections) {
+    const diff = byId.get(selection?.id);
+    if (!diff) {
+      return { error: `Unknown difference: ${selection?.id}` };
+    }
+    if (applied.some(entry => entry.id === diff.id)) {
+      return { error: `Difference selected more than once: ${diff.id}` };
+    }
+    if (!RECONCILE_DIRECTIONS.includes(selection.direction)) {
+      return { error: `direction must be one of: ${RECONCILE_DIRECTIONS.join(', ')}` };
+    }
+
+    const toDatabase = selection.direction === 'toDatabase';
+    if (diff.kind === DIFF_KINDS.ONLY_IN_FILE) {
+      if (toDatabase) database.inserts.push(diff.file);
+      else file = file.filter(record => record?.name !== diff.name);
+    } else if (diff.kind === DIFF_KINDS.ONLY_IN_DATABASE) {
+      if (toDatabase) database.deletes.push(diff.name);
+      else file.push(diff.database);
+    } else if (toDatabase) {
+      if (!database.updates.has(diff.name)) database.updates.set(diff.name, { set: {}, unset: [] });
+      const update = database.updates.get(diff.name);
+      if (diff.file === null) update.unset.push(diff.path);
+      else update.set[diff.path] = diff.file;
+    } else {
+      const record = file.find(entry => entry?.name === diff.name);
+      setPath(record, diff.path, diff.database === null ? undefined : diff.database);
+    }
+
+    applied.push({ id: diff.id, name: diff.name, kind: diff.kind, path: diff.path, direction: selection.direction });
+  }
+
+  const checked = validateDatabaseChanges({
+    inserts: database.inserts,
+    updates: [...database.updates].map(([name, update]) => ({ name, ...update })),
+    deletes: database.deletes
+  }, dbFaculty);
+  if (checked.errors.length > 0) {
+    const [first] = checked.errors;
+    return {
+      error: `faculty.json has invalid data for the database (${first.name}: ${first.field} ${first.message}). Fix the file or keep the database value.`,
+      errors: checked.errors
+    };
+  }
+
+  return { database: checked.database, file, applied };
+}
+
+module.exports = {
+  FACULTY_FILE_HASH_SETTING,
+  RECONCILE_DIRECTIONS,
+  DIFF_KINDS,
+  buildReconcileDiff,
+  summarizeReconcileDiff,
+  hashFacultyFile,
+  fingerprintReconcileInputs,
+  listInvalidFileRecords,
+  planReconcileApply
+};
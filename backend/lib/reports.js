@@ -0,0 +1,126 @@
+const {
+  zonedTimeToDate,
+  addDays,
+  listDateKeys,
+  normalizeOfficeRanges
+} = require('./schedule');
+const { resolveCalendarDay } = require('./calendar');
+const { STATUS_VALUES } = require('./statuses');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function overlapMs(startA, endA, startB, endB) {
+  return Math.max(0, Math.min(endA, endB) - Math.max(startA, startB));
+}
+
+function roundHours(ms) {
+  return Math.round((ms / HOUR_MS) * 100) / 100;
+}
+
+// Scheduled office-hour intervals (epoch ms) for each working day in the range.
+// Holidays are skipped and makeup days use the weekday they follow.
+function getOfficeIntervals(faculty, calendarDays, rangeStart, rangeEnd) {
+  const intervals = [];
+
+  calendarDays.forEach(({ dateKey, scheduleDay: day, holiday }) => {
+    if (holiday || faculty.weekend?.includes(day)) return;
+
+    normalizeOfficeRanges(faculty.officeHours?.[day]).forEach(([start, end]) => {
+      if (!(start < end)) return;
+      const intervalStart = Math.max(zonedTimeToDate(dateKey, start).getTime(), rangeStart);
+      const intervalEnd = Math.min(zonedTimeToDate(dateKey, end).getTime(), rangeEnd);
+      if (intervalEnd > intervalStart) {
+        intervals.push([intervalStart, intervalEnd]);
+      }
+    });
+  });
+
+  return intervals;
+}
+
+// Hours per status and office-hour compliance for each faculty member over
+// [fromKey, toKey] (department-local dates, inclusive). Time after `now` is not counted.
+// `calendarEntries` are academic calendar entries overlapping the range.
+function buildAttendanceReport(faculty, history, fromKey, toKey, now = new Date(), calendarEntries = []) {
+  const rangeStart = zonedTimeToDate(fromKey).getTime();
+  const rangeEnd = Math.min(zonedTimeToDate(addDays(toKey, 1)).getTime(), now.getTime());
+  const calendarDays = listDateKeys(fromKey, toKey).map(dateKey => resolveCalendarDay(calendarEntries, dateKey));
+
+  const entriesById = new Map();
+  history.forEach(entry => {
+    if (!entriesById.has(entry.facultyId)) {
+      entriesById.set(entry.facultyId, []);
+    }
+    entriesById.get(entry.facultyId).push(entry);
+  });
+
+  const rows = faculty.map(member => {
+    const statusMs = Object.fromEntries(STATUS_VALUES.map(status => [status, 0]));
+    const officeIntervals = getOfficeIntervals(member, calendarDays, rangeStart, rangeEnd);
+    let atDeptDuringOfficeMs = 0;
+    let trackedMs = 0;
+
+    (entriesById.get(member.facultyId) || []).forEach(entry => {
+      const entryStart = new Date(entry.startedAt).getTime();
+      const entryEnd = entry.endedAt ? new Date(entry.endedAt).getTime() : now.getTime();
+      const duration = overlapMs(entryStart, entryEnd, rangeStart, rangeEnd);
+      if (duration <= 0) return;
+
+      statusMs[entry.status] = (statusMs[entry.status] || 0) + duration;
+      trackedMs += duration;
+
+      if (entry.status === 'at_dept') {
+        officeIntervals.forEach(([start, end]) => {
+          atDeptDuringOfficeMs += overlapMs(entryStart, entryEnd, start, end);
+        });
+      }
+    });
+
+    const scheduledOfficeMs = officeIntervals.reduce((sum, [start, end]) => sum + (end - start), 0);
+
+    return {
+      name: member.name,
+      designation: member.designation || '',
+      hours: Object.fromEntries(Object.entries(statusMs).map(([status, ms]) => [status, roundHours(ms)])),
+      trackedHours: roundHours(trackedMs),
+      scheduledOfficeHours: roundHours(scheduledOfficeMs),
+      atDeptDuringOfficeHours: roundHours(atDeptDuringOfficeMs),
+      officeHourCompliance: scheduledOfficeMs > 0
+        ? Math.round((atDeptDuringOfficeMs / scheduledOfficeMs) * 1000) / 10
+        : null
+    };
+  });
+
+  return {
+    from: fromKey,
+    to: toKey,
+    generatedAt: now.toISOString(),
+    statuses: [...new Set([...STATUS_VALUES, ...rows.flatMap(row => Object.keys(row.hours))])],
+    rows
+  };
+}
+
+// Flatten a report into CSV columns/rows for lib/csv.toCsv()
+function attendanceReportToTable(report, labels = {}) {
+  const columns = [
+    { key: 'name', label: 'Faculty' },
+    { key: 'designation', label: 'Designation' },
+    ...report.statuses.map(status => ({ key: `hours_${status}`, label: `${labels[status] || status} (h)` })),
+    { key: 'trackedHours', label: 'Tracked (h)' },
+    { key: 'scheduledOfficeHours', label: 'Scheduled Office Hours (h)' },
+    { key: 'atDeptDuringOfficeHours', label: 'At Department During Office Hours (h)' },
+    { key: 'officeHourCompliance', label: 'Office Hour Compliance (%)' }
+  ];
+
+  const rows = report.rows.map(row => ({
+    ...row,
+    ...Object.fromEntries(report.statuses.map(status => [`hours_${status}`, row.hours[status] || 0]))
+  }));
+
+  return { columns, rows };
+}
+
+module.exports = {
+  buildAttendanceReport,
+  attendanceReportToTable
+};
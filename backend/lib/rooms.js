@@ -0,0 +1,86 @@
+const ROOM_TYPES = {
+  lecture: "Lecture Room",
+  lab: "Lab"
+};
+
+// Rooms the admin panel used to hardcode, seeded into an empty registry
+const LEGACY_ROOMS = ['B2-003', 'B2-102', 'B2-203', 'B2-204', 'B2-205', 'B2-206', 'B2-303', 'B2-304', 'B2-305', 'B2-306', 'B2-307'];
+
+const ROOM_CODE_PATTERN = /^[A-Za-z0-9][A-Za-z0-9-]{0,19}$/;
+
+function normalizeRoomCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+// "B2-303" -> { building: "B2", floor: 3 }; codes in other formats get nulls
+function parseRoomCode(code) {
+  const match = /^([A-Z]+\d*)-(\d)\d{2}$/.exec(normalizeRoomCode(code));
+  return match
+    ? { building: match[1], floor: Number(match[2]) }
+    : { building: null, floor: null };
+}
+
+// Returns { value } with a normalized room, or { error }
+function validateRoom(body) {
+  const code = normalizeRoomCode(body?.code);
+  const parsed = parseRoomCode(code);
+  const building = String(body?.building ?? parsed.building ?? '').trim();
+  const floor = body?.floor === undefined || body?.floor === '' ? parsed.floor : Number(body.floor);
+  const capacity = body?.capacity === undefined || body?.capacity === '' ? null : Number(body.capacity);
+  const type = String(body?.type || 'lecture').trim();
+  const active = body?.active === undefined ? true : body.active === true || body.active === 'true';
+
+  if (!ROOM_CODE_PATTERN.test(code)) {
+    return { error: "Room code is required (letters, digits and dashes, e.g. B2-303)" };
+  }
+
+  if (!building) {
+    return { error: "Building is required" };
+  }
+
+  if (floor !== null && !Number.isInteger(floor)) {
+    return { error: "Floor must be a whole number" };
+  }
+
+  if (capacity !== null && (!Number.isInteger(capacity) || capacity < 0)) {
+    return { error: "Capacity must be a whole number of seats" };
+  }
+
+  if (!ROOM_TYPES[type]) {
+    return { error: `Room type must be one of: ${Object.keys(ROOM_TYPES).join(', ')}` };
+  }
+
+  return { value: { code, building, floor, capacity, type, active } };
+}
+
+// Every class entry that names a room, as { day, index, room } with a normalized code
+function listClassRooms(classTimes) {
+  const entries = [];
+
+  Object.entries(classTimes || {}).forEach(([day, classes]) => {
+    (Array.isArray(classes) ? classes : []).forEach((cls, index) => {
+      const room = normalizeRoomCode(cls?.room);
+      if (room) {
+        entries.push({ day, index, room });
+      }
+    });
+  });
+
+  return entries;
+}
+
+// Class entries whose room is not an active room in the registry
+function findUnknownClassRooms(classTimes, rooms) {
+  const activeCodes = new Set(rooms.filter(room => room.active).map(room => room.code));
+  return listClassRooms(classTimes).filter(entry => !activeCodes.has(entry.room));
+}
+
+module.exports = {
+  ROOM_TYPES,
+  LEGACY_ROOMS,
+  normalizeRoomCode,
+  parseRoomCode,
+  validateRoom,
+  listClassRooms,
+  findUnknownClassRooms
+};
@@ -0,0 +1,207 @@
+// Bulk import of the department routine from a spreadsheet exported as CSV.
+// One row per class: day, start, end, room, batch and the teacher's name and/or email.
+
+const { parseCsv } = require('./csv');
+const { WEEK_DAYS } = require('./schedule');
+const { normalizeRoomCode } = require('./rooms');
+
+const MAX_IMPORT_ROWS = 2000;
+
+// Accepted header spellings for each column (compared lowercased, spaces/underscores removed)
+const COLUMN_ALIASES = {
+  day: ['day', 'weekday'],
+  start: ['start', 'starttime', 'from', 'begin'],
+  end: ['end', 'endtime', 'to', 'finish'],
+  room: ['room', 'roomno', 'roomcode', 'venue'],
+  batch: ['batch', 'section', 'batchsection', 'class'],
+  teacherName: ['teacher', 'teachername', 'faculty', 'facultyname', 'name', 'instructor'],
+  teacherEmail: ['email', 'teacheremail', 'facultyemail', 'instructoremail']
+};
+
+function headerKey(value) {
+  return String(value || '').trim().toLowerCase().replace(/[\s_.-]+/g, '');
+}
+
+// "sun", "SUNDAY", "Sunday " -> "Sunday"
+function normalizeDay(value) {
+  const text = String(value || '').trim().toLowerCase();
+  if (text.length < 3) return null;
+  return WEEK_DAYS.find(day => day.toLowerCase().startsWith(text)) || null;
+}
+
+// "9:00", "09:00", "9.30", "2:30 PM", "14:30:00" -> "HH:MM"
+function normalizeTime(value) {
+  const match = /^(\d{1,2})[:.](\d{2})(?::\d{2})?\s*([ap]\.?m\.?)?$/i.exec(String(value || '').trim());
+  if (!match) return null;
+
+  let hour = Number(match[1]);
+  const minute = Number(match[2]);
+  const meridiem = match[3]?.[0].toLowerCase();
+  if (meridiem) {
+    if (hour < 1 || hour > 12) return null;
+    hour = (hour % 12) + (meridiem === 'p' ? 12 : 0);
+  }
+  if (hour > 23 || minute > 59) return null;
+
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+// Returns { rows, errors } or { error } when the file itself is unusable.
+// Row numbers (`line`) are 1-based spreadsheet rows, header included.
+function parseRoutineCsv(text) {
+  const table = parseCsv(text).filter(cells => cells.some(cell => cell.trim() !== ''));
+  if (table.length < 2) {
+    return { error: "The CSV needs a header row and at least one class" };
+  }
+  if (table.length - 1 > MAX_IMPORT_ROWS) {
+    return { error: `The CSV can have at most ${MAX_IMPORT_ROWS} classes` };
+  }
+
+  const headers = table[0].map(headerKey);
+  const columns = {};
+  Object.entries(COLUMN_ALIASES).forEach(([column, aliases]) => {
+    const index = headers.findIndex(header => aliases.includes(header));
+    if (index !== -1) columns[column] = index;
+  });
+
+  const missing = ['day', 'start', 'end'].filter(column => columns[column] === undefined);
+  if (missing.length > 0) {
+    return { error: `Missing column(s): ${missing.join(', ')}` };
+  }
+  if (columns.teacherName === undefined && columns.teacherEmail === undefined) {
+    return { error: "A teacher name or email column is required" };
+  }
+
+  const rows = [];
+  const errors = [];
+  table.slice(1).forEach((cells, position) => {
+    const line = position + 2;
+    const cell = column => (columns[column] === undefined ? '' : String(cells[columns[column]] || '').trim());
+
+    const day = normalizeDay(cell('day'));
+    const start = normalizeTime(cell('start'));
+    const end = normalizeTime(cell('end'));
+    const teacherName = cell('teacherName');
+    const teacherEmail = cell('teacherEmail').toLowerCase();
+
+    if (!day) {
+      errors.push({ line, message: `Unknown day "${cell('day')}"` });
+    } else if (!start || !end) {
+      errors.push({ line, message: `Times must look like 09:30 or 2:30 PM (got "${cell('start')}"-"${cell('end')}")` });
+    } else if (end <= start) {
+      errors.push({ line, message: `Class ends before it starts (${start}-${end})` });
+    } else if (!teacherName && !teacherEmail) {
+      errors.push({ line, message: "Teacher name or email is required" });
+    } else {
+      rows.push({ line, day, start, end, room: normalizeRoomCode(cell('room')), batch: cell('batch'), teacherName, teacherEmail });
+    }
+  });
+
+  return { rows, errors };
+}
+
+// Attach `facultyId` and `facultyName` to each row by email, then by case-insensitive name.
+// Returns { matched, errors } where errors are rows whose teacher is unknown or ambiguous.
+function matchRoutineTeachers(rows, faculty) {
+  const byEmail = new Map();
+  const byName = new Map();
+  faculty.forEach(member => {
+    const email = String(member.email || '').trim().toLowerCase();
+    const name = String(member.name || '').trim().toLowerCase();
+    if (email) byEmail.set(email, [...(byEmail.get(email) || []), member]);
+    if (name) byName.set(name, [...(byName.get(name) || []), member]);
+  });
+
+  const matched = [];
+  const errors = [];
+  rows.forEach(row => {
+    const candidates = (row.teacherEmail && byEmail.get(row.teacherEmail)) ||
+      (row.teacherName && byName.get(row.teacherName.toLowerCase())) ||
+      [];
+    const label = row.teacherName || row.teacherEmail;
+
+    if (candidates.length === 0) {
+      errors.push({ line: row.line, message: `No faculty member matches "${label}"` });
+    } else if (candidates.length > 1) {
+      errors.push({ line: row.line, message: `"${label}" matches more than one faculty member` });
+    } else {
+      matched.push({ ...row, facultyId: candidates[0].facultyId, facultyName: candidates[0].name });
+    }
+  });
+
+  return { matched, errors };
+}
+
+function classKey(cls) {
+  return [cls.day, cls.start, cls.end, normalizeRoomCode(cls.room), String(cls.batch || '').trim()].join('|');
+}
+
+function listDayClasses(classTimes) {
+  return Object.entries(classTimes || {}).flatMap(([day, classes]) =>
+    (Array.isArray(classes) ? classes : []).map(cls => ({
+      day,
+      start: cls.start,
+      end: cls.end,
+      room: normalizeRoomCode(cls.room),
+      batch: String(cls.batch || '').trim()
+    }))
+  );
+}
+
+// New classTimes per faculty member plus what changed against `current`
+// ([{ facultyId, name, classTimes }]). Members missing from the file keep their classes
+// unless `replaceAll` is set, in which case their classes are cleared.
+function buildImportPlan(matchedRows, current, { replaceAll = false } = {}) {
+  const imported = new Map();
+  matchedRows.forEach(row => {
+    if (!imported.has(row.facultyId)) imported.set(row.facultyId, {});
+    const classTimes = imported.get(row.facultyId);
+    (classTimes[row.day] = classTimes[row.day] || []).push({
+      start: row.start,
+      end: row.end,
+      room: row.room,
+      batch: row.batch
+    });
+  });
+  imported.forEach(classTimes => {
+    Object.values(classTimes).forEach(classes => classes.sort((a, b) => a.start.localeCompare(b.start)));
+  });
+
+  const changes = [];
+  let unchanged = 0;
+  current.forEach(member => {
+    if (!imported.has(member.facultyId) && !replaceAll) return;
+
+    const classTimes = imported.get(member.facultyId) || {};
+    const before = listDayClasses(member.classTimes);
+    const after = listDayClasses(classTimes);
+    const beforeKeys = new Set(before.map(classKey));
+    const afterKeys = new Set(after.map(classKey));
+    const added = after.filter(cls => !beforeKeys.has(classKey(cls)));
+    const removed = before.filter(cls => !afterKeys.has(classKey(cls)));
+
+    if (added.length === 0 && removed.length === 0) {
+      unchanged += 1;
+      return;
+    }
+    changes.push({
+      facultyId: member.facultyId,
+      facultyName: member.name,
+      classTimes,
+      added,
+      removed,
+      kept: after.length - added.length
+    });
+  });
+
+  return { changes, unchanged };
+}
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  normalizeDay,
+  normalizeTime,
+  parseRoutineCsv,
+  matchRoutineTeachers,
+  buildImportPlan
+};
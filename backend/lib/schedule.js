@@ -0,0 +1,208 @@
+// Schedule helpers shared by the status engine and the API routes.
+// All wall-clock comparisons happen in the department's time zone (Asia/Dhaka),
+// never in the server's local time.
+
+const TIME_ZONE = 'Asia/Dhaka';
+const WEEK_DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const zonedPartsFormatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: TIME_ZONE,
+  weekday: 'long',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+  hourCycle: 'h23'
+});
+
+function getZonedParts(date) {
+  const parts = {};
+  for (const part of zonedPartsFormatter.formatToParts(date)) {
+    parts[part.type] = part.value;
+  }
+  return parts;
+}
+
+// Day name, "HH:MM" time and "YYYY-MM-DD" date key for a moment in Asia/Dhaka
+function getZonedClock(date = new Date()) {
+  const parts = getZonedParts(date);
+  return {
+    day: parts.weekday,
+    time: `${parts.hour}:${parts.minute}`,
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`
+  };
+}
+
+function getTimeZoneOffsetMs(date) {
+  const parts = getZonedParts(date);
+  const asUTC = Date.UTC(
+    Number(parts.year),
+    Number(parts.month) - 1,
+    Number(parts.day),
+    Number(parts.hour),
+    Number(parts.minute),
+    Number(parts.second)
+  );
+  return asUTC - (date.getTime() - date.getMilliseconds());
+}
+
+// Convert a department-local date ("YYYY-MM-DD") and time ("HH:MM") to a Date
+function zonedTimeToDate(dateKey, time = '00:00') {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  return new Date(guess - getTimeZoneOffsetMs(new Date(guess)));
+}
+
+function addDays(dateKey, days) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return date.toISOString().slice(0, 10);
+}
+
+function isDateKey(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(`${value}T00:00:00Z`));
+}
+
+function getDayNameForDateKey(dateKey) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return WEEK_DAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+}
+
+// Inclusive list of "YYYY-MM-DD" keys between two date keys
+function listDateKeys(fromKey, toKey) {
+  const keys = [];
+  for (let key = fromKey; key <= toKey; key = addDays(key, 1)) {
+    keys.push(key);
+  }
+  return keys;
+}
+
+function normalizeOfficeRanges(dayOfficeHours) {
+  if (!Array.isArray(dayOfficeHours)) {
+    return [];
+  }
+
+  const isLegacyPair =
+    dayOfficeHours.length === 2 &&
+    typeof dayOfficeHours[0] === "string" &&
+    typeof dayOfficeHours[1] === "string";
+
+  if (isLegacyPair) {
+    return [[dayOfficeHours[0], dayOfficeHours[1]]];
+  }
+
+  return dayOfficeHours.filter(
+    range =>
+      Array.isArray(range) &&
+      range.length === 2 &&
+      typeof range[0] === "string" &&
+      typeof range[1] === "string"
+  );
+}
+
+function hasActiveOverride(faculty, now = new Date()) {
+  return !!(faculty.manualOverride && faculty.overrideExpiry && now < new Date(faculty.overrideExpiry));
+}
+
+function hasExpiredOverride(faculty, now = new Date()) {
+  return !!(faculty.manualOverride && faculty.overrideExpiry && now >= new Date(faculty.overrideExpiry));
+}
+
+// `context.leave` is the faculty member's approved leave covering today, if any.
+// `context.calendar` is today's resolved academic calendar day (see lib/calendar.js).
+function getCurrentStatus(faculty, now = new Date(), context = {}) {
+  const { day: weekDay, time: timeStr } = getZonedClock(now);
+  const calendar = context.calendar || null;
+  const day = calendar?.scheduleDay || weekDay;
+
+  // Check manual override
+  if (hasActiveOverride(faculty, now)) {
+    return { status: faculty.manualOverride };
+  }
+
+  // Check approved leave
+  if (context.leave) {
+    return { status: "on_leave" };
+  }
+
+  // Department holiday
+  if (calendar?.holiday) {
+    return { status: "on_weekend", holiday: calendar.holiday };
+  }
+
+  // Check if today is their weekend
+  if (faculty.weekend?.includes(day)) {
+    return { status: "on_weekend" };
+  }
+
+  // Check if now is in class time
+  const classes = calendar?.exam ? null : faculty.classTimes?.[day];
+  if (Array.isArray(classes)) {
+    for (const cls of classes) {
+      if (cls.start < cls.end && timeStr >= cls.start && timeStr < cls.end) {
+        return {
+          status: "in_class",
+          room: cls.room || null,
+          batch: cls.batch || null
+        };
+      }
+    }
+  }
+
+  // Check if now is within office hours
+  const officeRanges = normalizeOfficeRanges(faculty.officeHours?.[day]);
+  for (const [start, end] of officeRanges) {
+    if (start < end && timeStr >= start && timeStr < end) {
+      return { status: "at_dept" };
+    }
+  }
+
+  return { status: "off_duty" };
+}
+
+// Earliest moment after `now` at which getCurrentStatus() could return something
+// different: an override expiry, a class or office-hour edge, or midnight.
+function getNextBoundary(faculty, now = new Date(), context = {}) {
+  const { day: weekDay, time: timeStr, dateKey } = getZonedClock(now);
+  const calendar = context.calendar || null;
+  const day = calendar?.scheduleDay || weekDay;
+  const candidates = [zonedTimeToDate(addDays(dateKey, 1))];
+
+  if (hasActiveOverride(faculty, now)) {
+    candidates.push(new Date(faculty.overrideExpiry));
+  }
+
+  if (!calendar?.holiday && !faculty.weekend?.includes(day)) {
+    const edges = [];
+    const classes = calendar?.exam ? null : faculty.classTimes?.[day];
+    if (Array.isArray(classes)) {
+      classes.forEach(cls => edges.push(cls.start, cls.end));
+    }
+    normalizeOfficeRanges(faculty.officeHours?.[day]).forEach(([start, end]) => edges.push(start, end));
+
+    edges
+      .filter(edge => typeof edge === "string" && /^\d{2}:\d{2}$/.test(edge) && edge > timeStr)
+      .forEach(edge => candidates.push(zonedTimeToDate(dateKey, edge)));
+  }
+
+  return new Date(Math.min(...candidates.map(date => date.getTime())));
+}
+
+module.exports = {
+  TIME_ZONE,
+  WEEK_DAYS,
+  getZonedClock,
+  zonedTimeToDate,
+  addDays,
+  isDateKey,
+  getDayNameForDateKey,
+  listDateKeys,
+  normalizeOfficeRanges,
+  hasActiveOverride,
+  hasExpiredOverride,
+  getCurrentStatus,
+  getNextBoundary
+};
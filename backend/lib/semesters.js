@@ -0,0 +1,55 @@
+const { isDateKey } = require('./schedule');
+const { validateFacultyRecord } = require('./facultySchema');
+
+// Fields of a faculty document that make up one semester's weekly routine
+const SCHEDULE_FIELDS = ['weekend', 'officeHours', 'classTimes'];
+
+// Settings key remembering which semester's routine is on the faculty documents
+const ACTIVE_SEMESTER_SETTING = 'activeSemesterId';
+
+// Returns { value } with a normalized semester, or { error }
+function validateSemester(body) {
+  const name = String(body?.name || '').trim();
+  const startDate = String(body?.startDate || '').trim();
+  const endDate = String(body?.endDate || '').trim();
+
+  if (!name || name.length > 60) {
+    return { error: "Semester name is required and must be 60 characters or fewer" };
+  }
+
+  if (!isDateKey(startDate) || !isDateKey(endDate)) {
+    return { error: "startDate and endDate must be dates in YYYY-MM-DD format" };
+  }
+
+  if (endDate < startDate) {
+    return { error: "endDate must not be before startDate" };
+  }
+
+  return { value: { name, startDate, endDate } };
+}
+
+// Returns { value: { weekend, officeHours, classTimes } }, or { error, errors }
+function validateSchedule(body) {
+  return validateFacultyRecord({
+    weekend: body?.weekend ?? [],
+    officeHours: body?.officeHours ?? {},
+    classTimes: body?.classTimes ?? {}
+  }, { partial: true });
+}
+
+// Pick the weekly routine fields off a faculty document
+function pickSchedule(faculty) {
+  return {
+    weekend: faculty.weekend || [],
+    officeHours: faculty.officeHours || {},
+    classTimes: faculty.classTimes || {}
+  };
+}
+
+module.exports = {
+  SCHEDULE_FIELDS,
+  ACTIVE_SEMESTER_SETTING,
+  validateSemester,
+  validateSchedule,
+  pickSchedule
+};
@@ -0,0 +1,240 @@
+const {
+  getCurrentStatus,
+  getNextBoundary,
+  getZonedClock,
+  hasActiveOverride,
+  hasExpiredOverride
+} = require('./schedule');
+const { resolveCalendarDay } = require('./calendar');
+const { ACTIVE_SEMESTER_SETTING } = require('./semesters');
+
+const MAX_SLEEP_MS = 5 * 60 * 1000; // Safety net for changes made outside the API (e.g. direct DB edits)
+const MIN_SLEEP_MS = 1000;
+const RETRY_DELAY_MS = 30 * 1000;
+
+// What determined a status period in status_history
+const STATUS_SOURCES = {
+  SCHEDULE: 'schedule',
+  MANUAL_OVERRIDE: 'manual_override',
+  BULK_SET: 'bulk_set',
+  EXPIRY: 'expiry',
+  LEAVE: 'leave',
+  CALENDAR: 'calendar'
+};
+
+// Keeps the last computed status per faculty member and only writes when it
+// changes. Instead of polling, it sleeps until the next schedule boundary
+// (class start/end, office-hour edge, override expiry or midnight). At midnight
+// it also switches the weekly routine over when a new semester starts.
+class StatusEngine {
+  constructor(facultyDB, options = {}) {
+    this.facultyDB = facultyDB;
+    this.onChange = options.onChange || null;
+    this.lastStatus = new Map(); // facultyId -> JSON of last written status
+    this.pendingRefs = new Set();
+    this.pendingActors = new Map(); // facultyId or name -> username whose action triggered the refresh
+    this.historySeeded = false;
+    this.queue = Promise.resolve();
+    this.timer = null;
+    this.nextRunAt = null;
+    this.stopped = false;
+  }
+
+  start() {
+    this.stopped = false;
+    return this.refresh();
+  }
+
+  stop() {
+    this.stopped = true;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Recompute now. `refs` (facultyIds, or names for older callers) are records that
+  // changed for other reasons (overrides, profile edits) and should be published even
+  // if their status stays the same. `actor` is recorded in status_history for
+  // transitions those edits cause.
+  refresh(refs = [], actor = null) {
+    refs.filter(Boolean).forEach(ref => {
+      this.pendingRefs.add(ref);
+      if (actor) {
+        this.pendingActors.set(ref, actor);
+      }
+    });
+    this.queue = this.queue.then(() => this.run());
+    return this.queue;
+  }
+
+  async run() {
+    if (this.stopped) return;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    const extraRefs = [...this.pendingRefs];
+    const pendingActors = new Map(this.pendingActors);
+    this.pendingRefs.clear();
+    this.pendingActors.clear();
+    const now = new Date();
+
+    try {
+      const { dateKey } = getZonedClock(now);
+      (await this.syncActiveSemester(dateKey)).forEach(facultyId => extraRefs.push(facultyId));
+
+      const allFaculty = (await this.facultyDB.getAllFaculty()).filter(faculty => faculty.facultyId);
+      const leaves = await this.facultyDB.getApprovedLeavesOn(dateKey);
+      const leaveById = new Map(leaves.map(leave => [leave.facultyId, leave]));
+      const actors = new Map(allFaculty.map(faculty => [
+        faculty.facultyId,
+        pendingActors.get(faculty.facultyId) || pendingActors.get(faculty.name)
+      ]));
+      // Refs that name a current member, by facultyId; deleted members are found below
+      const extraIds = extraRefs
+        .map(ref => allFaculty.find(faculty => faculty.facultyId === ref || faculty.name === ref)?.facultyId)
+        .filter(Boolean);
+      const calendar = resolveCalendarDay(await this.facultyDB.getCalendarEntries(dateKey, dateKey), dateKey);
+      const changes = [];
+      const transitions = [];
+      const seeds = [];
+      const nextStatus = new Map();
+      let nextWake = now.getTime() + MAX_SLEEP_MS;
+
+      for (const faculty of allFaculty) {
+        const overrideExpired = hasExpiredOverride(faculty, now);
+        const effective = overrideExpired
+          ? { ...faculty, manualOverride: null, overrideExpiry: null }
+          : faculty;
+
+        const context = { leave: leaveById.get(faculty.facultyId) || null, calendar };
+        const status = getCurrentStatus(effective, now, context);
+        const key = JSON.stringify(status);
+        const previous = this.lastStatus.has(faculty.facultyId)
+          ? this.lastStatus.get(faculty.facultyId)
+          : JSON.stringify(faculty.status);
+
+        if (key !== previous || overrideExpired) {
+          changes.push({
+            facultyId: faculty.facultyId,
+            status,
+            statusChanged: key !== previous,
+            clearOverride: overrideExpired,
+            overrideExpiry: faculty.overrideExpiry
+          });
+        }
+
+        if (key !== previous) {
+          transitions.push({
+            facultyId: faculty.facultyId,
+            facultyName: faculty.name,
+            ...status,
+            ...this.describeSource(effective, now, context, overrideExpired, actors.get(faculty.facultyId))
+          });
+        } else if (!this.historySeeded) {
+          seeds.push({
+            facultyId: faculty.facultyId,
+            facultyName: faculty.name,
+            ...status,
+            source: this.describeSource(effective, now, context, false).source,
+            startedAt: faculty.statusChangedAt ? new Date(faculty.statusChangedAt) : now
+          });
+        }
+        nextStatus.set(faculty.facultyId, key);
+
+        const boundary = getNextBoundary(effective, now, context).getTime();
+        if (boundary < nextWake) {
+          nextWake = boundary;
+        }
+      }
+
+      // Members deleted since the last run: close their open history entry
+      const removedIds = [...this.lastStatus.keys()].filter(facultyId => !nextStatus.has(facultyId));
+      removedIds.forEach(facultyId => transitions.push({ facultyId, status: null }));
+
+      if (changes.length > 0) {
+        await this.facultyDB.bulkUpdateStatuses(changes, now);
+        console.log(`✅ Status engine wrote ${changes.length} change(s) at ${now.toISOString()}`);
+      }
+      this.lastStatus = nextStatus;
+
+      try {
+        await this.facultyDB.recordStatusTransitions(transitions, now);
+        if (!this.historySeeded) {
+          await this.facultyDB.seedStatusHistory(seeds);
+          this.historySeeded = true;
+        }
+      } catch (error) {
+        console.error("❌ Failed to record status history:", error);
+      }
+
+      const changedIds = [...new Set([...changes.map(change => change.facultyId), ...extraIds, ...removedIds])];
+      if (changedIds.length > 0 && this.onChange) {
+        await this.onChange(changedIds);
+      }
+
+      this.schedule(nextWake);
+    } catch (error) {
+      console.error("❌ Status engine run failed:", error);
+      extraRefs.forEach(ref => this.pendingRefs.add(ref));
+      this.schedule(now.getTime() + RETRY_DELAY_MS);
+    }
+  }
+
+  // Apply the schedules of the semester covering `dateKey` once, when it becomes active.
+  // Returns the facultyIds of members whose routine changed.
+  async syncActiveSemester(dateKey) {
+    const semester = await this.facultyDB.getSemesterForDate(dateKey);
+    const activeId = semester ? String(semester._id) : null;
+    const storedId = (await this.facultyDB.getSetting(ACTIVE_SEMESTER_SETTING)) || null;
+    if (activeId === storedId) return [];
+
+    await this.facultyDB.setSetting(ACTIVE_SEMESTER_SETTING, activeId);
+    if (!semester) {
+      console.log(`ℹ️ No semester covers ${dateKey}; keeping the current routine`);
+      return [];
+    }
+
+    const facultyIds = await this.facultyDB.applySemesterSchedules(semester._id);
+    console.log(`✅ Switched to semester "${semester.name}" (${facultyIds.length} schedule(s) applied)`);
+    return facultyIds;
+  }
+
+  describeSource(faculty, now, context, overrideExpired, actor = null) {
+    if (hasActiveOverride(faculty, now)) {
+      return {
+        source: faculty.overrideSource || STATUS_SOURCES.MANUAL_OVERRIDE,
+        actor: faculty.overrideSetBy || actor
+      };
+    }
+
+    if (context.leave) {
+      return { source: STATUS_SOURCES.LEAVE, actor: context.leave.reviewedBy || actor };
+    }
+
+    if (context.calendar?.holiday) {
+      return { source: STATUS_SOURCES.CALENDAR, actor };
+    }
+
+    if (overrideExpired) {
+      return { source: STATUS_SOURCES.EXPIRY, actor: null };
+    }
+
+    return { source: STATUS_SOURCES.SCHEDULE, actor };
+  }
+
+  schedule(wakeAt) {
+    if (this.stopped) return;
+    const delay = Math.min(MAX_SLEEP_MS, Math.max(MIN_SLEEP_MS, wakeAt - Date.now() + 50));
+    this.nextRunAt = new Date(Date.now() + delay);
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.refresh();
+    }, delay);
+  }
+}
+
+module.exports = StatusEngine;
+module.exports.STATUS_SOURCES = STATUS_SOURCES;
@@ -0,0 +1,20 @@
+// Status values shown on the display (mirrors STATUS_MAP in frontend/index.html
+// and controlPanelLabels in frontend/admin.html).
+const STATUS_LABELS = {
+  in_class: "In Class",
+  at_dept: "At Department",
+  on_leave: "On Leave",
+  off_duty: "Off Duty",
+  in_meeting: "In Meeting",
+  on_weekend: "On Weekend",
+  postponed: "Class Postponed",
+  exam_duty: "On Exam Invigilation",
+  on_break: "On Break"
+};
+
+const STATUS_VALUES = Object.keys(STATUS_LABELS);
+
+module.exports = {
+  STATUS_LABELS,
+  STATUS_VALUES
+};
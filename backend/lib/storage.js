@@ -0,0 +1,257 @@
+// File storage for faculty photos, ads, the marquee text and faculty.json snapshots.
+// Keys are paths relative to the backend directory ("public/ads/promo.jpg",
+// "public/marquee.txt", "faculty.json") so every backend lays files out the same way
+// the repository does. Backends share one interface:
+//   read(key) -> Buffer | null
+//   write(key, buffer)
+//   remove(key) -> true if something was deleted
+//   list(prefix) -> [{ key, size }] for files directly under `prefix`
+//   localPath(key) -> absolute path when the file can be streamed from disk, else null
+// Pick one with STORAGE_BACKEND = local (default) | gridfs | github.
+
+const fs = require('fs');
+const path = require('path');
+const { GridFSBucket } = require('mongodb');
+
+const STORAGE_BACKENDS = ['local', 'gridfs', 'github'];
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.txt': 'text/plain; charset=utf-8',
+  '.json': 'application/json; charset=utf-8'
+};
+
+function getContentType(key) {
+  return CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+}
+
+// Normalized key, or null for anything that could escape the storage root
+function normalizeStorageKey(key) {
+  const parts = String(key || '').replace(/\\/g, '/').split('/').filter(Boolean);
+  if (parts.length === 0 || parts.some(part => part === '.' || part === '..')) {
+    return null;
+  }
+  return parts.join('/');
+}
+
+function createLocalStorage({ root }) {
+  const resolve = key => path.join(root, key);
+
+  return {
+    name: 'local',
+
+    async read(key) {
+      try {
+        return await fs.promises.readFile(resolve(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async write(key, buffer) {
+      await fs.promises.mkdir(path.dirname(resolve(key)), { recursive: true });
+      await fs.promises.writeFile(resolve(key), buffer);
+    },
+
+    async remove(key) {
+      try {
+        await fs.promises.unlink(resolve(key));
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+      }
+    },
+
+    async list(prefix) {
+      try {
+        const entries = await fs.promises.readdir(resolve(prefix), { withFileTypes: true });
+        return Promise.all(entries
+          .filter(entry => entry.isFile())
+          .map(async entry => ({
+            key: `${prefix}/${entry.name}`,
+            size: (await fs.promises.stat(resolve(`${prefix}/${entry.name}`))).size
+          })));
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+    },
+
+    localPath(key) {
+      return resolve(key);
+    }
+  };
+}
+
+// Files in a GridFS bucket of the app's own database; survives redeploys on
+// hosts with an ephemeral filesystem
+function createGridFSStorage({ getDb, bucketName = 'storage' }) {
+  const getBucket = async () => new GridFSBucket(await getDb(), { bucketName });
+
+  const removeAll = async (bucket, key) => {
+    const files = await bucket.find({ filename: key }).toArray();
+    await Promise.all(files.map(file => bucket.delete(file._id)));
+    return files.length > 0;
+  };
+
+  return {
+    name: 'gridfs',
+
+    async read(key) {
+      const bucket = await getBucket();
+      const [file] = await bucket.find({ filename: key }).sort({ uploadDate: -1 }).limit(1).toArray();
+      if (!file) return null;
+
+      const chunks = [];
+      for await (const chunk of bucket.openDownloadStream(file._id)) {
+        chunks.push(chunk);
+      }
+      return Buffer.concat(chunks);
+    },
+
+    async write(key, buffer) {
+      const bucket = await getBucket();
+      await removeAll(bucket, key);
+      await new Promise((resolve, reject) => {
+        bucket.openUploadStream(key, { metadata: { contentType: getContentType(key) } })
+          .on('finish', resolve)
+          .on('error', reject)
+          .end(buffer);
+      });
+    },
+
+    async remove(key) {
+      return removeAll(await getBucket(), key);
+    },
+
+    async list(prefix) {
+      const bucket = await getBucket();
+      const escaped = prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const files = await bucket.find({ filename: { $regex: `^${escaped}/[^/]+$` } }).toArray();
+      return files.map(file => ({ key: file.filename, size: file.length }));
+    },
+
+    localPath() {
+      return null;
+    }
+  };
+}
+
+// Files committed to a GitHub repository through the contents API. `prefix` is
+// where the backend directory lives inside the repository.
+function createGitHubStorage({ token, repository, branch = null, prefix = 'backend' }) {
+  const contentsUrl = key => {
+    const url = `https://api.github.com/repos/${repository}/contents/${[prefix, key].filter(Boolean).join('/')}`;
+    return branch ? `${url}?ref=${encodeURIComponent(branch)}` : url;
+  };
+  const headers = (accept = 'application/vnd.github.v3+json') => ({
+    'Authorization': `token ${token}`,
+    'Accept': accept
+  });
+
+  const getSha = async key => {
+    const response = await fetch(contentsUrl(key), { headers: headers() });
+    if (response.status === 404) return null;
+    if (!response.ok) throw new Error(`GitHub API error: ${response.status}`);
+    return (await response.json()).sha;
+  };
+
+  const send = async (key, method, body) => {
+    const response = await fetch(contentsUrl(key).split('?')[0], {
+      method,
+      headers: { ...headers(), 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...body, ...(branch ? { branch } : {}) })
+    });
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.message || `GitHub API error: ${response.status}`);
+    }
+  };
+
+  return {
+    name: 'github',
+
+    async read(key) {
+      const response = await fetch(contentsUrl(key), { headers: headers('application/vnd.github.raw') });
+      if (response.status === 404) return null;
+      if (!response.ok) throw new Error(`GitHub API error: ${response.status}`);
+      return Buffer.from(await response.arrayBuffer());
+    },
+
+    async write(key, buffer) {
+      const sha = await getSha(key);
+      await send(key, 'PUT', {
+        message: `Update ${key} via admin panel`,
+        content: buffer.toString('base64'),
+        ...(sha ? { sha } : {})
+      });
+    },
+
+    async remove(key) {
+      const sha = await getSha(key);
+      if (!sha) return false;
+      await send(key, 'DELETE', { message: `Delete ${key} via admin panel`, sha });
+      return true;
+    },
+
+    async list(prefixKey) {
+      const response = await fetch(contentsUrl(prefixKey), { headers: headers() });
+      if (response.status === 404) return [];
+      if (!response.ok) throw new Error(`GitHub API error: ${response.status}`);
+      const entries = await response.json();
+      return (Array.isArray(entries) ? entries : [])
+        .filter(entry => entry.type === 'file')
+        .map(entry => ({ key: `${prefixKey}/${entry.name}`, size: entry.size }));
+    },
+
+    localPath() {
+      return null;
+    }
+  };
+}
+
+// Storage configured by the environment:
+//   STORAGE_BACKEND      local | gridfs | github (default local)
+//   STORAGE_ROOT         directory for local storage (default: the backend directory)
+//   GITHUB_TOKEN, GITHUB_REPOSITORY ("owner/repo"), GITHUB_BRANCH for github storage
+function createStorage(env, { getDb, defaultRoot }) {
+  const backend = (env.STORAGE_BACKEND || 'local').toLowerCase();
+  if (!STORAGE_BACKENDS.includes(backend)) {
+    throw new Error(`STORAGE_BACKEND must be one of: ${STORAGE_BACKENDS.join(', ')}`);
+  }
+
+  if (backend === 'gridfs') {
+    return createGridFSStorage({ getDb });
+  }
+
+  if (backend === 'github') {
+    if (!env.GITHUB_TOKEN || !env.GITHUB_REPOSITORY) {
+      throw new Error('GitHub storage needs GITHUB_TOKEN and GITHUB_REPOSITORY (owner/repo)');
+    }
+    return createGitHubStorage({
+      token: env.GITHUB_TOKEN,
+      repository: env.GITHUB_REPOSITORY,
+      branch: env.GITHUB_BRANCH || null
+    });
+  }
+
+  return createLocalStorage({ root: env.STORAGE_ROOT || defaultRoot });
+}
+
+module.exports = {
+  STORAGE_BACKENDS,
+  getContentType,
+  normalizeStorageKey,
+  createLocalStorage,
+  createGridFSStorage,
+  createGitHubStorage,
+  createStorage
+};
@@ -4,20 +4,116 @@ const MongoStore = require("connect-mongo");
 const jwt = require("jsonwebtoken");
 const cors = require("cors");
 const path = require("path");
-const fs = require("fs");
 const crypto = require("crypto");
 const FacultyDB = require("./db/faculty");
+const FacultyEventStream = require("./lib/facultyEvents");
+const StatusEngine = require("./lib/statusEngine");
+const { STATUS_SOURCES } = StatusEngine;
+const { STATUS_LABELS } = require("./lib/statuses");
+const { isDateKey, getZonedClock, zonedTimeToDate, addDays } = require("./lib/schedule");
+const { buildAttendanceReport, attendanceReportToTable } = require("./lib/reports");
+const { toCsv } = require("./lib/csv");
+const { LEAVE_STATUSES, validateLeaveRequest } = require("./lib/leaves");
+const { validateCalendarEntry, resolveCalendarDay } = require("./lib/calendar");
+const {
+  ROOM_TYPES,
+  LEGACY_ROOMS,
+  normalizeRoomCode,
+  parseRoomCode,
+  validateRoom,
+  listClassRooms
+} = require("./lib/rooms");
+const { checkScheduleConflicts } = require("./lib/conflicts");
+const { parseAvailabilityQuery, getWindowStatus, getRoomOccupancy } = require("./lib/availability");
+const { normalizeBatchKey, listBatches, buildBatchTimetable } = require("./lib/batches");
+const { listRoutineSlots, buildRoutineCalendar } = require("./lib/ical");
+const { parseRoutineCsv, matchRoutineTeachers, buildImportPlan } = require("./lib/routineImport");
+const {
+  EXPORT_TYPES,
+  buildDirectoryExport,
+  buildRoutinesExport,
+  buildRoomsExport,
+  buildBatchesExport,
+  renderPrintableHtml
+} = require("./lib/exports");
+const {
+  SCHEDULE_FIELDS,
+  ACTIVE_SEMESTER_SETTING,
+  validateSemester,
+  validateSchedule,
+  pickSchedule
+} = require("./lib/semesters");
+const { getContentType, normalizeStorageKey, createStorage } = require("./lib/storage");
+const { validateFacultyRecord, validateOverrides } = require("./lib/facultySchema");
+const {
+  FACULTY_FILE_HASH_SETTING,
+  buildReconcileDiff,
+  summarizeReconcileDiff,
+  hashFacultyFile,
+  fingerprintReconcileInputs,
+  listInvalidFileRecords,
+  planReconcileApply
+} = require("./lib/reconcile");
+const {
+  DEPLOY_TARGET_SETTING,
+  getDefaultDeployTarget,
+  validateDeployTarget,
+  describeDeployKeys,
+  DeployQueue
+} = require("./lib/deploy");
+const {
+  LOGIN_THROTTLE_POLICIES,
+  FAILURE_WINDOW_MS,
+  getThrottleKeys,
+  getThrottleDeadlines,
+  getLoginRetryAfter
+} = require("./lib/loginThrottle");
+const {
+  RESET_TOKEN_TTL_MS,
+  RESET_REQUEST_COOLDOWN_MS,
+  MAX_RESET_REQUESTS_PER_IP,
+  createResetToken,
+  hashResetToken,
+  getResetEmail,
+  buildResetLink,
+  buildPasswordResetEmail
+} = require("./lib/passwordReset");
+const { createMailTransport } = require("./lib/mail");
+const { AUDIT_ACTIONS, setAuditSnapshot, createAuditMiddleware, parseAuditQuery } = require("./lib/audit");
+const { resolveSecrets } = require("./lib/config");
+const {
+  ADMIN_ROLE,
+  DEFAULT_ROLES,
+  getRolePermissions,
+  hasPermission,
+  validateRole,
+  listPermissions
+} = require("./lib/permissions");
 const compression = require('compression');
 
+// Secrets come from the environment only; startup() stops in production when they are unsafe
+const { secrets: SECRETS, errors: configErrors, warnings: configWarnings } = resolveSecrets(process.env);
+
 // JWT configuration
-const JWT_SECRET = process.env.JWT_SECRET || "jwt_secret_key_change_in_production";
-const JWT_EXPIRES_IN = "8h"; // 8 hours
-const LEGACY_ADMIN_USERNAME = "admin";
-const LEGACY_ADMIN_PASSWORD = "admin123";
+const JWT_SECRET = SECRETS.JWT_SECRET;
+// Access tokens are short-lived; the client renews them with a refresh token that
+// rotates on every use. A login session still lasts 8 hours from sign-in.
+const ACCESS_TOKEN_EXPIRES_IN = "15m";
+const SESSION_DURATION_MS = 8 * 60 * 60 * 1000;
+// A refresh token replaced this recently may still arrive from a second tab
+const REFRESH_REUSE_GRACE_MS = 30 * 1000;
 const DEFAULT_TEMP_PASSWORD_LENGTH = 12;
 const PBKDF2_ITERATIONS = 120000;
 const PBKDF2_KEY_LENGTH = 64;
 const PBKDF2_DIGEST = "sha512";
+const MAX_REPORT_DAYS = 366;
+const MIN_PASSWORD_LENGTH = 8;
+// Routes an account flagged mustChangePassword may still use
+const PASSWORD_CHANGE_ROUTES = ["/api/auth/me", "/api/check-login", "/api/auth/change-password", "/api/auth/logout-all"];
+// Plaintext passwords that were never secret; accounts still holding one are disabled
+const KNOWN_DEFAULT_PASSWORDS = ["admin123", "password", "admin", "123456", "12345678"];
+// Where the frontend lives, for links in emails
+const APP_BASE_URL = process.env.APP_BASE_URL || "https://faculty-status-display.vercel.app";
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -25,11 +121,20 @@ const PORT = process.env.PORT || 3000;
 // Initialize database
 let facultyDB;
 let sessionStore;
+let statusEngine;
+const facultyEvents = new FacultyEventStream();
+const storage = createStorage(process.env, {
+  getDb: () => facultyDB.connect(),
+  defaultRoot: __dirname
+});
+let deployQueue;
+const mailer = createMailTransport(process.env, { defaultRoot: __dirname });
 
 // Allow frontend access
 app.use(cors({
   origin: ["https://faculty-status-display.vercel.app", "http://localhost:3000"],
-  credentials: true
+  credentials: true,
+  exposedHeaders: ["Content-Disposition"] // lets the admin panel name export downloads
 }));
 app.use(express.json({
   limit: '50mb',
@@ -41,13 +146,16 @@ app.use(express.json({
 app.use(express.urlencoded({ limit: '10mb', extended: true }));
 app.use(compression());
 
+// Every mutating API request lands in the audit_log collection once answered
+app.use(createAuditMiddleware(entry => facultyDB.recordAudit(entry)));
+
 // Sessions - Temporary in-memory store until MongoDB connects
 app.set("trust proxy", 1);
 
 // Session configuration function (will be upgraded to MongoDB store after connection)
 function createSessionConfig(store = null) {
   return {
-    secret: process.env.SESSION_SECRET || "secret123",
+    secret: SECRETS.SESSION_SECRET,
     resave: false,
     saveUninitialized: false,
     rolling: true, // Renew session on every request
@@ -65,8 +173,10 @@ function createSessionConfig(store = null) {
 app.use(session(createSessionConfig()));
 
 // === MIDDLEWARE ===
-// JWT Authentication middleware
-function requireAuth(req, res, next) {
+// JWT Authentication middleware. Besides the signature and expiry, the token's
+// session must still be live and its token version must match the account's, so
+// logouts, password resets and role changes take effect immediately.
+async function requireAuth(req, res, next) {
   // Check for token in Authorization header
   const authHeader = req.headers.authorization;
 
@@ -76,25 +186,53 @@ function requireAuth(req, res, next) {
 
   const token = authHeader.substring(7); // Remove 'Bearer ' prefix
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = decoded; // Attach user info to request
-    next();
+    decoded = jwt.verify(token, JWT_SECRET);
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
       return res.status(401).json({ error: "Token expired" });
     }
     return res.status(401).json({ error: "Invalid token" });
   }
+
+  try {
+    const session = decoded.sid ? await facultyDB.getAuthSession(decoded.sid) : null;
+    if (!session || session.revokedAt || session.expiresAt <= new Date() || session.username !== normalizeUsername(decoded.username)) {
+      return res.status(401).json({ error: "Session ended" });
+    }
+
+    const user = await findUserByUsername(decoded.username);
+    if (!user) {
+      return res.status(401).json({ error: "Account no longer exists" });
+    }
+    if (getTokenVersion(user) !== decoded.tv) {
+      return res.status(401).json({ error: "Token revoked" });
+    }
+    // A temporary or bootstrap password must be replaced before anything else
+    if (user.mustChangePassword && !PASSWORD_CHANGE_ROUTES.includes(req.route?.path)) {
+      return res.status(403).json({ error: "Change your password to continue", mustChangePassword: true });
+    }
+
+    // Claims and permissions come from the account and its role as they are now,
+    // not as they were at sign-in
+    req.user = { ...decoded, ...getTokenClaims(user), permissions: await loadUserPermissions(user) };
+    req.authSession = session;
+    next();
+  } catch (error) {
+    console.error("❌ Failed to check session:", error);
+    res.status(500).json({ error: "Failed to check session" });
+  }
 }
 
-function requireRole(...roles) {
+// Passes when the user holds any one of `permissions`
+function requirePermission(...permissions) {
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ error: "Unauthorized" });
     }
 
-    if (!roles.includes(req.user.role)) {
+    if (!permissions.some(permission => hasPermission(req.user, permission))) {
       return res.status(403).json({ error: "Forbidden" });
     }
 
@@ -102,6 +240,25 @@ function requireRole(...roles) {
   };
 }
 
+// Why `user` may not grant, edit or take over accounts with `role`, or null when they may.
+// Only admins are unrestricted; anyone else holding users.manage can only hand out
+// permissions they already hold, so the permission cannot be turned into admin.
+function getRoleGrantError(user, role) {
+  if (user.role === ADMIN_ROLE) return null;
+  if (!role || role.name === ADMIN_ROLE) return "Only admins can grant the admin role";
+
+  const missing = getRolePermissions(role).filter(permission => !hasPermission(user, permission));
+  return missing.length > 0 ? `You cannot grant permissions you do not hold: ${missing.join(", ")}` : null;
+}
+
+// The permissions granted by the user's role. A missing admin role document still
+// grants everything, so the panel stays reachable if the roles collection is lost.
+async function loadUserPermissions(user) {
+  const roleName = user.role || "user";
+  const role = await facultyDB.getRole(roleName);
+  return getRolePermissions(role || (roleName === ADMIN_ROLE ? { name: ADMIN_ROLE } : null));
+}
+
 function normalizeUsername(username) {
   return String(username || "").trim().toLowerCase();
 }
@@ -139,6 +296,14 @@ function hashPassword(password, salt = crypto.randomBytes(16).toString("hex")) {
   return `pbkdf2$${PBKDF2_ITERATIONS}$${salt}$${hash}`;
 }
 
+// Error message for a password that may not be set, or null
+function validateNewPassword(password) {
+  if (String(password || "").length < MIN_PASSWORD_LENGTH) {
+    return `New password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
 function verifyPassword(password, storedHash) {
   if (!storedHash || typeof storedHash !== "string") {
     return false;
@@ -146,7 +311,7 @@ function verifyPassword(password, storedHash) {
 
   const [scheme, iterationsStr, salt, hash] = storedHash.split("$");
   if (scheme !== "pbkdf2" || !iterationsStr || !salt || !hash) {
-    return normalizeUsername(password) === LEGACY_ADMIN_PASSWORD && storedHash === LEGACY_ADMIN_PASSWORD;
+    return false;
   }
 
   const iterations = Number(iterationsStr);
@@ -170,17 +335,49 @@ function verifyPassword(password, storedHash) {
   return crypto.timingSafeEqual(storedBuffer, candidate);
 }
 
-function buildAuthToken(user) {
-  const payload = {
+// Refresh tokens are "<sessionId>.<secret>"; only a hash of the secret is stored
+function createRefreshSecret() {
+  const secret = crypto.randomBytes(32).toString("base64url");
+  return { secret, hash: hashRefreshSecret(secret) };
+}
+
+function hashRefreshSecret(secret) {
+  return crypto.createHash("sha256").update(String(secret)).digest("hex");
+}
+
+function parseRefreshToken(token) {
+  const [sessionId, secret, ...rest] = String(token || "").split(".");
+  if (!sessionId || !secret || rest.length > 0) {
+    return null;
+  }
+  return { sessionId, hash: hashRefreshSecret(secret) };
+}
+
+// Bumped on password and role changes; tokens carrying an older version are refused
+function getTokenVersion(user) {
+  return user?.tokenVersion || 0;
+}
+
+function getTokenClaims(user) {
+  return {
     username: user.username,
     role: user.role || "user",
+    linkedFacultyId: user.linkedFacultyId || null,
     linkedFacultyName: user.linkedFacultyName || null,
     linkedFacultyEmail: user.linkedFacultyEmail || null,
-    mustChangePassword: !!user.mustChangePassword,
-    loginTime: new Date().toISOString()
+    mustChangePassword: !!user.mustChangePassword
+  };
+}
+
+function buildAuthToken(user, session) {
+  const payload = {
+    ...getTokenClaims(user),
+    sid: String(session._id),
+    tv: getTokenVersion(user),
+    loginTime: session.createdAt.toISOString()
   };
 
-  return jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+  return jwt.sign(payload, JWT_SECRET, { expiresIn: ACCESS_TOKEN_EXPIRES_IN });
 }
 
 function normalizeUserRecord(user) {
@@ -193,6 +390,7 @@ function normalizeUserRecord(user) {
     username: user.username,
     usernameLower: user.usernameLower,
     role: user.role || "user",
+    linkedFacultyId: user.linkedFacultyId || null,
     linkedFacultyName: user.linkedFacultyName || null,
     linkedFacultyEmail: user.linkedFacultyEmail || null,
     mustChangePassword: !!user.mustChangePassword,
@@ -212,16 +410,90 @@ async function findUserByUsername(username) {
   return users.findOne({ usernameLower: normalizeUsername(username) });
 }
 
-async function issueAuthResponse(user, res) {
-  const token = buildAuthToken(user);
+// The faculty record a user account is linked to. Accounts are linked by facultyId;
+// the name only matters for tokens issued before facultyIds existed.
+async function getLinkedFaculty(user) {
+  if (user.linkedFacultyId) {
+    return facultyDB.getFacultyById(user.linkedFacultyId);
+  }
+  return user.linkedFacultyName ? facultyDB.getFacultyByName(user.linkedFacultyName) : null;
+}
+
+// In-memory counterpart of facultyDB.resolveFaculty for a loaded list
+function findFacultyByRef(faculty, ref) {
+  return faculty.find(f => f.facultyId === ref) || faculty.find(f => f.name === ref) || null;
+}
+
+function isLinkedFaculty(user, faculty) {
+  if (!faculty) return false;
+  if (user.linkedFacultyId) {
+    return faculty.facultyId === user.linkedFacultyId;
+  }
+  return normalizeUsername(faculty.name) === normalizeUsername(user.linkedFacultyName);
+}
+
+// faculty.edit.any, or faculty.edit.own for the member the user is linked to
+function canEditFaculty(user, faculty) {
+  return hasPermission(user, "faculty.edit.any") ||
+    (hasPermission(user, "faculty.edit.own") && isLinkedFaculty(user, faculty));
+}
+
+// Accounts linked to `faculty`, including any still linked by name only
+function linkedUsersFilter(faculty) {
+  return { $or: [{ linkedFacultyId: faculty.facultyId }, { linkedFacultyName: faculty.name }] };
+}
+
+// Start a new session for `user` and return its first access and refresh tokens
+async function createAuthTokens(user, req) {
+  const refresh = createRefreshSecret();
+  const session = await facultyDB.createAuthSession({
+    username: normalizeUsername(user.username),
+    tokenVersion: getTokenVersion(user),
+    refreshTokenHash: refresh.hash,
+    expiresAt: new Date(Date.now() + SESSION_DURATION_MS),
+    ip: req.ip || null,
+    userAgent: String(req.get("user-agent") || "").slice(0, 300) || null
+  });
+
+  return {
+    token: buildAuthToken(user, session),
+    refreshToken: `${session._id}.${refresh.secret}`,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+    sessionExpiresAt: session.expiresAt
+  };
+}
+
+async function issueAuthResponse(user, req, res) {
+  const tokens = await createAuthTokens(user, req);
   res.status(200).json({
     success: true,
-    token,
-    expiresIn: JWT_EXPIRES_IN,
+    ...tokens,
     user: normalizeUserRecord(user)
   });
 }
 
+// Invalidate every token `username` holds: the version bump refuses access tokens
+// at once and the revoked sessions can no longer be refreshed
+async function revokeUserTokens(username, reason) {
+  const users = await getUsersCollection();
+  await users.updateOne({ usernameLower: normalizeUsername(username) }, { $inc: { tokenVersion: 1 } });
+  return facultyDB.revokeUserSessions(normalizeUsername(username), reason);
+}
+
+// Delete the accounts matching `filter`, ending their sessions first
+async function deleteUsers(filter, reason) {
+  const users = await getUsersCollection();
+  const usernames = (await users.find(filter).project({ usernameLower: 1 }).toArray())
+    .map(user => user.usernameLower);
+  if (usernames.length === 0) {
+    return 0;
+  }
+
+  await facultyDB.revokeUserSessions(usernames, reason);
+  const result = await users.deleteMany({ usernameLower: { $in: usernames } });
+  return result.deletedCount;
+}
+
 async function upsertUserFromFaculty(faculty, options = {}) {
   const users = await getUsersCollection();
   const baseUsername = normalizeFacultyUsername(faculty);
@@ -231,6 +503,7 @@ async function upsertUserFromFaculty(faculty, options = {}) {
 
   const existing = await users.findOne({
     $or: [
+      ...(faculty.facultyId ? [{ linkedFacultyId: faculty.facultyId }] : []),
       { linkedFacultyName: faculty.name },
       { usernameLower: baseUsername }
     ]
@@ -238,6 +511,7 @@ async function upsertUserFromFaculty(faculty, options = {}) {
 
   if (existing && !options.forceReset) {
     const updates = {
+      linkedFacultyId: faculty.facultyId || existing.linkedFacultyId || null,
       linkedFacultyName: faculty.name || existing.linkedFacultyName || null,
       linkedFacultyEmail: faculty.email || existing.linkedFacultyEmail || null,
       updatedAt: new Date()
@@ -261,6 +535,7 @@ async function upsertUserFromFaculty(faculty, options = {}) {
     usernameLower: normalizeUsername(username),
     passwordHash: hashPassword(tempPassword),
     role: options.role || "user",
+    linkedFacultyId: faculty.facultyId || null,
     linkedFacultyName: faculty.name || null,
     linkedFacultyEmail: faculty.email || null,
     mustChangePassword: true,
@@ -284,6 +559,7 @@ async function ensureDefaultUsersFromFaculty() {
       createdUsers.push({
         username: created.user.username,
         tempPassword: created.tempPassword,
+        linkedFacultyId: faculty.facultyId || null,
         linkedFacultyName: faculty.name,
         linkedFacultyEmail: faculty.email || null
       });
@@ -293,130 +569,192 @@ async function ensureDefaultUsersFromFaculty() {
   return createdUsers;
 }
 
-// Serve images
-app.use("/images", express.static(path.join(__dirname, "public")));
-app.use("/public", express.static(path.join(__dirname, "public")));
-app.use("/ads", express.static(path.join(__dirname, "public/ads")));
-
-// === SYNC FUNCTION ===
-// Replace the existing syncFacultyFromJSON function with this:
+// Accounts from before PBKDF2 hashing may hold a plaintext password or a foreign
+// hash. Plaintext that is long enough and not a well-known default is rehashed and
+// must be changed at next login; everything else loses its password, so only an
+// admin reset or a reset link can bring the account back.
+async function migrateLegacyPasswordHashes() {
+  const users = await getUsersCollection();
+  const legacyUsers = await users.find({
+    passwordHash: { $type: "string", $not: /^pbkdf2\$/ }
+  }).toArray();
+  const rehashed = [];
+  const disabled = [];
+
+  for (const user of legacyUsers) {
+    const stored = user.passwordHash;
+    const looksHashed = stored.startsWith("$") || /^[a-f0-9]{32,}$/i.test(stored);
+    const now = new Date();
+
+    if (!looksHashed && !validateNewPassword(stored) && !KNOWN_DEFAULT_PASSWORDS.includes(stored.toLowerCase())) {
+      await users.updateOne(
+        { _id: user._id },
+        { $set: { passwordHash: hashPassword(stored), mustChangePassword: true, updatedAt: now, passwordUpdatedAt: now } }
+      );
+      rehashed.push(user.usernameLower);
+    } else {
+      await users.updateOne(
+        { _id: user._id },
+        { $set: { passwordHash: null, mustChangePassword: true, updatedAt: now } }
+      );
+      await revokeUserTokens(user.usernameLower, "password_disabled");
+      disabled.push(user.usernameLower);
+    }
+  }
 
-async function syncFacultyFromJSON() {
-  const jsonPath = path.join(__dirname, "faculty.json");
+  return { rehashed, disabled };
+}
 
-  if (!fs.existsSync(jsonPath)) {
-    console.log('No faculty.json found for sync');
-    return;
+// With no admin able to sign in (none at all, or only ones whose password the
+// migration disabled), give one a password so the panel can be reached. The
+// password comes from BOOTSTRAP_ADMIN_PASSWORD or is generated and printed once;
+// either way it must be changed at first login.
+async function bootstrapAdminAccount() {
+  const users = await getUsersCollection();
+  if (await users.countDocuments({ role: "admin", passwordHash: /^pbkdf2\$/ }, { limit: 1 }) > 0) {
+    return null;
   }
 
-  try {
-    const db = await facultyDB.connect();
-    const jsonData = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+  const username = normalizeUsername(process.env.BOOTSTRAP_ADMIN_USERNAME || "admin");
+  const configuredPassword = process.env.BOOTSTRAP_ADMIN_PASSWORD;
+  if (configuredPassword) {
+    const passwordError = validateNewPassword(configuredPassword) ||
+      (KNOWN_DEFAULT_PASSWORDS.includes(configuredPassword.toLowerCase()) ? "Password is a well-known default" : null);
+    if (passwordError) {
+      throw new Error(`BOOTSTRAP_ADMIN_PASSWORD rejected: ${passwordError}`);
+    }
+  }
 
-    console.log(`📄 Found ${jsonData.length} faculty records in JSON file`);
+  const password = configuredPassword || generateTempPassword(16);
+  const now = new Date();
+  // Reuse the named account (promoting it if needed), else a locked-out admin, before creating one
+  const existing = await findUserByUsername(username) ||
+    await users.findOne({ role: "admin" }, { sort: { createdAt: 1 } });
+  if (existing) {
+    await users.updateOne(
+      { _id: existing._id },
+      { $set: { role: "admin", passwordHash: hashPassword(password), mustChangePassword: true, updatedAt: now, passwordUpdatedAt: now } }
+    );
+    await revokeUserTokens(existing.usernameLower, "bootstrap_admin");
+    return { username: existing.usernameLower, password: configuredPassword ? null : password, reset: true };
+  }
 
-    // Get existing faculty with their current overrides
-    const existingFaculty = await db.collection('faculty').find({}).toArray();
-    const existingNames = new Set(existingFaculty.map(f => f.name));
-    const overrideMap = new Map();
+  await users.insertOne({
+    username,
+    usernameLower: username,
+    passwordHash: hashPassword(password),
+    role: "admin",
+    linkedFacultyId: null,
+    linkedFacultyName: null,
+    linkedFacultyEmail: null,
+    mustChangePassword: true,
+    createdAt: now,
+    updatedAt: now,
+    passwordUpdatedAt: now
+  });
+  return { username, password: configuredPassword ? null : password, reset: false };
+}
 
-    console.log(`💾 Found ${existingFaculty.length} existing faculty records in database`);
+// === LIVE UPDATES ===
+// Push the current record for each changed faculty member (by facultyId) to SSE
+// subscribers. Records that no longer exist are announced as removed.
+async function publishFacultyChanges(facultyIds) {
+  const uniqueIds = [...new Set((facultyIds || []).filter(Boolean))];
+  if (uniqueIds.length === 0 || facultyEvents.clients.size === 0) return;
 
-    // Preserve valid manual overrides
-    existingFaculty.forEach(f => {
-      if (f.manualOverride && f.overrideExpiry) {
-        const expiry = new Date(f.overrideExpiry);
-        if (expiry > new Date()) {
-          overrideMap.set(f.name, {
-            manualOverride: f.manualOverride,
-            overrideExpiry: f.overrideExpiry
-          });
-        }
+  try {
+    for (const facultyId of uniqueIds) {
+      const record = await facultyDB.getFacultyById(facultyId);
+      if (record) {
+        facultyEvents.publish("faculty", record);
+      } else {
+        facultyEvents.publish("faculty-removed", { facultyId });
       }
-    });
+    }
+  } catch (error) {
+    console.error("❌ Failed to publish faculty changes:", error);
+  }
+}
 
-    let insertedCount = 0;
-    let updatedCount = 0;
-    let skippedCount = 0;
+const ADS_PREFIX = "public/ads";
+const MARQUEE_KEY = "public/marquee.txt";
+const FACULTY_JSON_KEY = "faculty.json";
+
+// Upload targets by repository path, mapped to storage folders
+const UPLOAD_FOLDERS = {
+  "backend": "",
+  "backend/public": "public",
+  "backend/public/ads": ADS_PREFIX
+};
+
+// The permission needed to upload or deploy a storage key: photos belong to faculty records
+function getStorageKeyPermission(key) {
+  if (key === FACULTY_JSON_KEY) return "deploy.run";
+  if (key === MARQUEE_KEY) return "marquee.edit";
+  if (key.startsWith(`${ADS_PREFIX}/`)) return "ads.manage";
+  return "faculty.edit.any";
+}
 
-    for (const faculty of jsonData) {
-      if (!faculty.name) {
-        console.log('⚠️ Skipping faculty with no name');
-        skippedCount++;
-        continue;
-      }
+// Photo keys that belong to `faculty`: its current image, and the file the profile
+// form uploads for it (its name, lowercased without spaces, as .jpg)
+function getFacultyPhotoKeys(faculty) {
+  const filenames = [
+    faculty.image ? path.posix.basename(String(faculty.image)) : null,
+    `${String(faculty.name || "").trim().toLowerCase().replace(/\s+/g, "")}.jpg`
+  ];
+  return filenames.filter(Boolean).map(filename => normalizeStorageKey(`public/${filename}`)).filter(Boolean);
+}
 
-      const facultyData = {
-        ...faculty,
-        updatedAt: new Date()
-      };
+// Like hasPermission(user, getStorageKeyPermission(key)), except that faculty.edit.own
+// also covers the photo of the member the user is linked to
+async function canWriteStorageKey(user, key) {
+  const permission = getStorageKeyPermission(key);
+  if (hasPermission(user, permission)) return true;
+  if (permission !== "faculty.edit.any" || !hasPermission(user, "faculty.edit.own")) return false;
 
-      // Preserve valid manual overrides if they exist
-      if (overrideMap.has(faculty.name)) {
-        const override = overrideMap.get(faculty.name);
-        facultyData.manualOverride = override.manualOverride;
-        facultyData.overrideExpiry = override.overrideExpiry;
-      }
+  const linked = await getLinkedFaculty(user);
+  return Boolean(linked) && getFacultyPhotoKeys(linked).includes(key);
+}
 
-      if (existingNames.has(faculty.name)) {
-        // Update existing faculty (preserve creation date)
-        const result = await db.collection('faculty').updateOne(
-          { name: faculty.name },
-          {
-            $set: facultyData,
-            $setOnInsert: { createdAt: new Date() }
-          },
-          { upsert: false }
-        );
-
-        if (result.modifiedCount > 0) {
-          updatedCount++;
-          console.log(`✅ Updated existing faculty: ${faculty.name}`);
-        } else {
-          skippedCount++;
-        }
-      } else {
-        // Insert new faculty
-        facultyData.createdAt = new Date();
-        facultyData.status = faculty.status || "off_duty";
+// Serve photos and ads straight from storage. Local files go through sendFile so
+// video seeking (range requests) keeps working.
+function serveFromStorage(prefix) {
+  return async (req, res, next) => {
+    if (req.method !== "GET" && req.method !== "HEAD") return next();
 
-        await db.collection('faculty').insertOne(facultyData);
-        insertedCount++;
-        console.log(`➕ Inserted new faculty: ${faculty.name}`);
-      }
+    let key;
+    try {
+      key = normalizeStorageKey(`${prefix}/${decodeURIComponent(req.path)}`);
+    } catch (error) {
+      key = null;
     }
+    if (!key) return next();
 
-    console.log(`✅ Sync completed: ${insertedCount} inserted, ${updatedCount} updated, ${skippedCount} skipped`);
-
-    // Final count check
-    const finalCount = await db.collection('faculty').countDocuments();
-    console.log(`📊 Total faculty in database: ${finalCount}`);
+    try {
+      const localPath = storage.localPath(key);
+      if (localPath) {
+        return res.sendFile(localPath, error => error && next());
+      }
 
-  } catch (error) {
-    console.error("❌ Error syncing from faculty.json:", error);
-    throw error;
-  }
+      const file = await storage.read(key);
+      if (!file) return next();
+      res.setHeader("Content-Type", getContentType(key));
+      res.setHeader("Cache-Control", "public, max-age=300");
+      res.send(file);
+    } catch (error) {
+      console.error(`❌ Error serving ${key} from storage:`, error);
+      res.status(500).json({ error: "Failed to load file" });
+    }
+  };
 }
 
+app.use("/images", serveFromStorage("public"));
+app.use("/public", serveFromStorage("public"));
+app.use("/ads", serveFromStorage("public/ads"));
+
 // === API ROUTES ===
 app.get("/api/faculty", async (req, res) => {
   try {
-    // Check if faculty.json exists and has been updated
-    const jsonPath = path.join(__dirname, "faculty.json");
-    if (fs.existsSync(jsonPath)) {
-      const jsonStat = fs.statSync(jsonPath);
-
-      // Check if we need to sync from file
-      const lastSync = await facultyDB.getSetting('last_faculty_sync');
-      const jsonModified = jsonStat.mtime.toISOString();
-
-      if (!lastSync || jsonModified > lastSync) {
-        console.log("📄 faculty.json has been updated, syncing to database...");
-        await syncFacultyFromJSON();
-        await facultyDB.setSetting('last_faculty_sync', jsonModified);
-      }
-    }
-
     // Get faculty data from database and sort consistently
     const faculty = await facultyDB.getAllFaculty();
 
@@ -440,6 +778,75 @@ app.get("/api/faculty", async (req, res) => {
   }
 });
 
+// Live faculty updates (Server-Sent Events). Clients load /api/faculty once,
+// then patch individual records from "faculty" and "faculty-removed" events.
+app.get("/api/faculty/stream", (req, res) => {
+  facultyEvents.subscribe(req, res);
+});
+
+// Status timeline for one faculty member, by facultyId (or name, which also finds
+// members deleted since). Entries overlapping [from, to) are returned as-is; an
+// entry with endedAt null is the current status.
+app.get("/api/faculty/:facultyId/history", requireAuth, async (req, res) => {
+  try {
+    const faculty = await facultyDB.resolveFaculty(req.params.facultyId);
+    const name = faculty ? faculty.name : req.params.facultyId;
+
+    if (!hasPermission(req.user, "history.view.any") && !isLinkedFaculty(req.user, faculty || { name })) {
+      return res.status(403).json({ error: "You can only view your own status history" });
+    }
+
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 7 * 24 * 60 * 60 * 1000);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+      return res.status(400).json({ error: "Invalid from/to date" });
+    }
+
+    if (from >= to) {
+      return res.status(400).json({ error: "\"from\" must be before \"to\"" });
+    }
+
+    const entries = await facultyDB.getStatusHistory(faculty || { name }, from, to);
+
+    if (!faculty && entries.length === 0) {
+      return res.status(404).json({ error: "Faculty not found" });
+    }
+
+    res.json({
+      facultyId: faculty ? faculty.facultyId : null,
+      name,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      entries: entries.map(entry => ({
+        status: entry.status,
+        room: entry.room || null,
+        batch: entry.batch || null,
+        source: entry.source,
+        actor: entry.actor || null,
+        startedAt: entry.startedAt,
+        endedAt: entry.endedAt || null
+      }))
+    });
+  } catch (error) {
+    console.error("❌ Error fetching status history:", error);
+    res.status(500).json({ error: "Failed to fetch status history" });
+  }
+});
+
+// Count a failed login against the IP and the username, extending their backoff
+async function recordFailedLogin(throttleKeys) {
+  const windowStart = new Date(Date.now() - FAILURE_WINDOW_MS);
+  for (const throttle of throttleKeys) {
+    const counter = await facultyDB.recordLoginFailure(throttle, windowStart);
+    const deadlines = getThrottleDeadlines(throttle.kind, counter.failures);
+    await facultyDB.setLoginThrottleDeadlines(throttle.key, deadlines);
+    if (counter.failures === LOGIN_THROTTLE_POLICIES[throttle.kind].lockoutAfter) {
+      console.log(`🔒 Login locked for ${throttle.kind} ${throttle.value} after ${counter.failures} failed attempts`);
+    }
+  }
+}
+
 async function handleLogin(req, res) {
   const { username, password } = req.body;
   const normalizedUsername = normalizeUsername(username);
@@ -449,26 +856,34 @@ async function handleLogin(req, res) {
       return res.status(400).json({ error: "Username and password are required" });
     }
 
-    if (normalizedUsername === LEGACY_ADMIN_USERNAME && password === LEGACY_ADMIN_PASSWORD) {
-      const legacyAdmin = {
-        username: LEGACY_ADMIN_USERNAME,
-        usernameLower: LEGACY_ADMIN_USERNAME,
-        role: "admin",
-        linkedFacultyName: null,
-        linkedFacultyEmail: null,
-        mustChangePassword: true
-      };
-      return issueAuthResponse(legacyAdmin, res);
+    // Throttled attempts are refused before any password hashing
+    const throttleKeys = getThrottleKeys(req.ip, normalizedUsername);
+    const { retryAfterMs, locked } = getLoginRetryAfter(
+      await facultyDB.getLoginThrottles(throttleKeys.map(throttle => throttle.key))
+    );
+    if (retryAfterMs > 0) {
+      const retryAfter = Math.ceil(retryAfterMs / 1000);
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        error: locked
+          ? `Too many failed attempts. Login is locked for ${Math.ceil(retryAfter / 60)} minute(s).`
+          : `Too many failed attempts. Try again in ${retryAfter} second(s).`,
+        retryAfter,
+        locked
+      });
     }
+    const userThrottleKey = throttleKeys.find(throttle => throttle.kind === "username").key;
 
     const user = await findUserByUsername(normalizedUsername);
     if (!user || !verifyPassword(password, user.passwordHash)) {
+      await recordFailedLogin(throttleKeys);
       return res.status(401).json({ error: "Invalid credentials" });
     }
 
-    const responseUser = normalizeUserRecord(user);
-    responseUser.passwordHash = undefined;
-    return issueAuthResponse(user, res);
+    // Success clears the account's counter; the IP's keeps counting down on its own
+    await facultyDB.clearLoginThrottle(userThrottleKey);
+
+    return issueAuthResponse(user, req, res);
   } catch (error) {
     console.error("❌ Login failed:", error);
     res.status(500).json({ error: "Failed to login" });
@@ -481,28 +896,16 @@ app.post("/api/auth/login", handleLogin);
 
 app.get("/api/auth/me", requireAuth, async (req, res) => {
   try {
+    // requireAuth has already checked that the account exists
     const user = await findUserByUsername(req.user.username);
-    if (user) {
-      return res.json({ loggedIn: true, user: normalizeUserRecord(user) });
-    }
-
-    return res.json({
-      loggedIn: true,
-      user: {
-        username: req.user.username,
-        role: req.user.role || "user",
-        linkedFacultyName: req.user.linkedFacultyName || null,
-        linkedFacultyEmail: req.user.linkedFacultyEmail || null,
-        mustChangePassword: !!req.user.mustChangePassword
-      }
-    });
+    res.json({ loggedIn: true, user: { ...normalizeUserRecord(user), permissions: req.user.permissions } });
   } catch (error) {
     console.error("❌ Failed to load user profile:", error);
     res.status(500).json({ error: "Failed to load profile" });
   }
 });
 
-app.get("/api/auth/users", requireAuth, requireRole("admin"), async (req, res) => {
+app.get("/api/auth/users", requireAuth, requirePermission("users.manage"), async (req, res) => {
   try {
     const users = await getUsersCollection();
     const records = await users.find({}).sort({ username: 1 }).toArray();
@@ -513,7 +916,7 @@ app.get("/api/auth/users", requireAuth, requireRole("admin"), async (req, res) =
   }
 });
 
-app.put("/api/auth/users/:username", requireAuth, requireRole("admin"), async (req, res) => {
+app.put("/api/auth/users/:username", requireAuth, requirePermission("users.manage"), async (req, res) => {
   try {
     const username = normalizeUsername(req.params.username);
     const { role } = req.body;
@@ -522,21 +925,42 @@ app.put("/api/auth/users/:username", requireAuth, requireRole("admin"), async (r
       return res.status(400).json({ error: "Username is required" });
     }
 
-    if (!["admin", "editor", "user"].includes(role)) {
+    const roleRecord = typeof role === "string" ? await facultyDB.getRole(role) : null;
+    if (!roleRecord) {
       return res.status(400).json({ error: "Invalid role" });
     }
 
+    const existing = await findUserByUsername(username);
+    if (!existing) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    if (existing.usernameLower === normalizeUsername(req.user.username) && req.user.role !== ADMIN_ROLE) {
+      return res.status(403).json({ error: "You cannot change your own role" });
+    }
+    // Both the role given and the one taken away must be within the caller's reach
+    const grantError = getRoleGrantError(req.user, roleRecord) ||
+      getRoleGrantError(req.user, await facultyDB.getRole(existing.role || "user") || { name: existing.role });
+    if (grantError) {
+      return res.status(403).json({ error: grantError });
+    }
+
     const users = await getUsersCollection();
-    const result = await users.updateOne(
+    await users.updateOne(
       { usernameLower: username },
       { $set: { role, updatedAt: new Date() } }
     );
-
-    if (result.matchedCount === 0) {
-      return res.status(404).json({ error: "User not found" });
+    if (existing.role !== role) {
+      // Signed-in sessions would otherwise keep the old role until they expire
+      await revokeUserTokens(username, "role_changed");
     }
 
     const updatedUser = await findUserByUsername(username);
+    setAuditSnapshot(res, {
+      target: { type: "user", id: username },
+      before: { role: existing.role },
+      after: { role }
+    });
     res.json({ message: "User role updated", user: normalizeUserRecord(updatedUser) });
   } catch (error) {
     console.error("❌ Failed to update user role:", error);
@@ -544,7 +968,7 @@ app.put("/api/auth/users/:username", requireAuth, requireRole("admin"), async (r
   }
 });
 
-app.post("/api/auth/users/:username/reset-password", requireAuth, requireRole("admin"), async (req, res) => {
+app.post("/api/auth/users/:username/reset-password", requireAuth, requirePermission("users.manage"), async (req, res) => {
   try {
     const username = normalizeUsername(req.params.username);
     const user = await findUserByUsername(username);
@@ -552,6 +976,12 @@ app.post("/api/auth/users/:username/reset-password", requireAuth, requireRole("a
       return res.status(404).json({ error: "User not found" });
     }
 
+    // A temporary password is a way into the account, so it follows the same rule as granting its role
+    const grantError = getRoleGrantError(req.user, await facultyDB.getRole(user.role || "user") || { name: user.role });
+    if (grantError) {
+      return res.status(403).json({ error: grantError });
+    }
+
     const tempPassword = generateTempPassword();
     const users = await getUsersCollection();
     await users.updateOne(
@@ -565,7 +995,9 @@ app.post("/api/auth/users/:username/reset-password", requireAuth, requireRole("a
         }
       }
     );
+    await revokeUserTokens(username, "password_reset");
 
+    setAuditSnapshot(res, { target: { type: "user", id: username }, after: { mustChangePassword: true } });
     res.json({
       message: "Password reset successfully",
       username,
@@ -577,164 +1009,602 @@ app.post("/api/auth/users/:username/reset-password", requireAuth, requireRole("a
   }
 });
 
-app.post("/api/auth/migrate-faculty-accounts", requireAuth, requireRole("admin"), async (req, res) => {
+// Usernames and IPs with recent failed logins, and the latest failed attempts from the audit log
+app.get("/api/admin/login-throttles", requireAuth, requirePermission("users.manage"), async (req, res) => {
   try {
-    const db = await facultyDB.connect();
-    const facultyRecords = await db.collection("faculty").find({}).toArray();
-    const createdUsers = [];
-
-    for (const faculty of facultyRecords) {
-      const created = await upsertUserFromFaculty(faculty);
-      if (created?.created) {
-        createdUsers.push({
-          facultyName: faculty.name,
-          username: created.user.username,
-          temporaryPassword: created.tempPassword
-        });
-      }
-    }
+    const now = new Date();
+    const throttles = await facultyDB.listLoginThrottles(new Date(now.getTime() - FAILURE_WINDOW_MS));
+    const recentFailures = await facultyDB.listAuditLog({ action: "auth.login", failedOnly: true, limit: 50 });
 
     res.json({
-      message: "Faculty accounts migrated",
-      createdCount: createdUsers.length,
-      createdUsers
+      throttles: throttles.map(throttle => ({
+        ...throttle,
+        locked: Boolean(throttle.lockedUntil && throttle.lockedUntil > now),
+        blockedUntil: getLoginRetryAfter([throttle], now).retryAfterMs > 0
+          ? new Date(Math.max(throttle.lockedUntil || 0, throttle.nextAllowedAt || 0))
+          : null
+      })),
+      recentFailures: recentFailures.map(entry => ({
+        username: entry.actor,
+        ip: entry.ip,
+        status: entry.status,
+        userAgent: entry.userAgent,
+        createdAt: entry.createdAt
+      }))
     });
   } catch (error) {
-    console.error("❌ Failed to migrate faculty accounts:", error);
-    res.status(500).json({ error: "Failed to migrate faculty accounts" });
+    console.error("❌ Failed to list login throttles:", error);
+    res.status(500).json({ error: "Failed to fetch login lockouts" });
   }
 });
 
-app.post("/api/auth/change-password", requireAuth, async (req, res) => {
+// Unlock: forget a username's or IP's failed attempts
+app.delete("/api/admin/login-throttles/:id", requireAuth, requirePermission("users.manage"), async (req, res) => {
   try {
-    const { currentPassword, newPassword } = req.body;
-    const username = normalizeUsername(req.user.username);
-
-    if (!currentPassword || !newPassword) {
-      return res.status(400).json({ error: "Current and new password are required" });
+    const throttle = await facultyDB.deleteLoginThrottleById(req.params.id);
+    if (!throttle) {
+      return res.status(404).json({ error: "No failed attempts recorded for this entry" });
     }
 
-    if (String(newPassword).length < 8) {
-      return res.status(400).json({ error: "New password must be at least 8 characters" });
-    }
+    setAuditSnapshot(res, { target: { type: throttle.kind, id: throttle.value }, before: throttle, after: null });
+    console.log(`🔓 ${req.user.username} unlocked login for ${throttle.kind} ${throttle.value}`);
+    res.json({ message: `Unlocked ${throttle.value}` });
+  } catch (error) {
+    console.error("❌ Failed to unlock login:", error);
+    res.status(500).json({ error: "Failed to unlock login" });
+  }
+});
+
+// === ROLES & PERMISSIONS ===
+// The permission catalog, and what the signed-in user holds
+app.get("/api/auth/permissions", requireAuth, (req, res) => {
+  res.json({ permissions: listPermissions(), granted: req.user.permissions });
+});
 
+// Roles with the number of accounts holding each
+app.get("/api/auth/roles", requireAuth, requirePermission("users.manage"), async (req, res) => {
+  try {
     const users = await getUsersCollection();
-    let user = await findUserByUsername(username);
+    const counts = await users.aggregate([{ $group: { _id: "$role", count: { $sum: 1 } } }]).toArray();
+    const countByRole = new Map(counts.map(entry => [entry._id || "user", entry.count]));
+    const roles = await facultyDB.listRoles();
+    res.json(roles.map(role => ({
+      name: role.name,
+      label: role.label,
+      builtIn: !!role.builtIn,
+      locked: role.name === ADMIN_ROLE,
+      permissions: getRolePermissions(role),
+      userCount: countByRole.get(role.name) || 0
+    })));
+  } catch (error) {
+    console.error("❌ Failed to list roles:", error);
+    res.status(500).json({ error: "Failed to list roles" });
+  }
+});
 
-    if (!user && username === LEGACY_ADMIN_USERNAME && currentPassword === LEGACY_ADMIN_PASSWORD) {
-      user = {
-        username: LEGACY_ADMIN_USERNAME,
-        usernameLower: LEGACY_ADMIN_USERNAME,
-        role: "admin",
-        linkedFacultyName: null,
-        linkedFacultyEmail: null,
-        mustChangePassword: true
-      };
-    }
+// Body: { name, label, permissions }
+app.post("/api/auth/roles", requireAuth, requirePermission("users.manage"), async (req, res) => {
+  const { value, error } = validateRole(req.body, { creating: true });
+  if (error) {
+    return res.status(400).json({ error });
+  }
 
-    if (!user) {
-      return res.status(404).json({ error: "User not found" });
+  try {
+    if (await facultyDB.getRole(value.name)) {
+      return res.status(409).json({ error: `Role ${value.name} already exists` });
     }
 
-    const passwordMatches = user.passwordHash
-      ? verifyPassword(currentPassword, user.passwordHash)
-      : currentPassword === LEGACY_ADMIN_PASSWORD && username === LEGACY_ADMIN_USERNAME;
-
-    if (!passwordMatches) {
-      return res.status(401).json({ error: "Current password is incorrect" });
+    const grantError = getRoleGrantError(req.user, value);
+    if (grantError) {
+      return res.status(403).json({ error: grantError });
     }
 
-    const passwordHash = hashPassword(newPassword);
-    await users.updateOne(
-      { usernameLower: username },
-      {
-        $set: {
-          username: username,
-          usernameLower: username,
-          role: user.role || req.user.role || "user",
-          linkedFacultyName: user.linkedFacultyName || req.user.linkedFacultyName || null,
-          linkedFacultyEmail: user.linkedFacultyEmail || req.user.linkedFacultyEmail || null,
-          passwordHash,
-          mustChangePassword: false,
-          updatedAt: new Date(),
-          passwordUpdatedAt: new Date()
-        },
-        $setOnInsert: {
-          createdAt: new Date()
-        }
-      },
-      { upsert: true }
-    );
-
-    res.json({ message: "Password changed successfully" });
+    const role = await facultyDB.createRole(value);
+    setAuditSnapshot(res, { target: { type: "role", id: role.name }, after: value });
+    console.log(`✅ Role ${role.name} created by ${req.user.username}`);
+    res.status(201).json({ message: "Role created", role });
   } catch (error) {
-    console.error("❌ Failed to change password:", error);
-    res.status(500).json({ error: "Failed to change password" });
+    console.error("❌ Failed to create role:", error);
+    res.status(500).json({ error: "Failed to create role" });
   }
 });
 
-app.post("/api/update", requireAuth, async (req, res) => {
-  const overrides = req.body;
+// Body: { label, permissions }. Holders of the role get the new permissions on their next request.
+app.put("/api/auth/roles/:name", requireAuth, requirePermission("users.manage"), async (req, res) => {
+  if (req.params.name === ADMIN_ROLE) {
+    return res.status(400).json({ error: "The admin role always holds every permission" });
+  }
 
-  try {
-    if (req.user.role === "user") {
-      const allowedFacultyName = req.user.linkedFacultyName;
-      if (!allowedFacultyName) {
-        return res.status(403).json({ error: "No faculty account linked to this user" });
-      }
+  const { value, error } = validateRole(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
 
-      const invalidUpdate = Array.isArray(overrides)
-        ? overrides.some(update => normalizeUsername(update.name) !== normalizeUsername(allowedFacultyName))
-        : normalizeUsername(overrides.name) !== normalizeUsername(allowedFacultyName);
+  try {
+    const existing = await facultyDB.getRole(req.params.name);
+    if (!existing) {
+      return res.status(404).json({ error: "Role not found" });
+    }
 
-      if (invalidUpdate) {
-        return res.status(403).json({ error: "Users can only update their own status" });
-      }
+    if (existing.name === req.user.role) {
+      return res.status(403).json({ error: "You cannot edit your own role" });
+    }
+    const grantError = getRoleGrantError(req.user, existing) || getRoleGrantError(req.user, { name: existing.name, permissions: value.permissions });
+    if (grantError) {
+      return res.status(403).json({ error: grantError });
     }
 
-    const result = await facultyDB.bulkUpdateOverrides(overrides);
-    console.log(`✅ Updated ${result} faculty records`);
-    res.json({ message: "Faculty data updated successfully." });
+    const role = await facultyDB.updateRole(existing.name, value);
+    setAuditSnapshot(res, {
+      target: { type: "role", id: existing.name },
+      before: { label: existing.label, permissions: existing.permissions },
+      after: value
+    });
+    console.log(`✅ Role ${existing.name} updated by ${req.user.username}`);
+    res.json({ message: "Role updated", role });
   } catch (error) {
-    console.error("❌ Error updating faculty:", error);
-    res.status(500).json({ error: "Failed to update faculty data" });
+    console.error("❌ Failed to update role:", error);
+    res.status(500).json({ error: "Failed to update role" });
   }
 });
 
-app.post("/api/logout", (req, res) => {
-  // With JWT, logout is handled client-side by removing the token
-  // No server-side session to destroy
-  res.json({ success: true, message: "Logged out successfully" });
-});
-
-app.get("/api/check-login", requireAuth, async (req, res) => {
+// Built-in roles and roles still assigned to someone stay
+app.delete("/api/auth/roles/:name", requireAuth, requirePermission("users.manage"), async (req, res) => {
   try {
-    const decoded = req.user;
-    const user = await findUserByUsername(decoded.username);
-    const sessionAge = decoded.loginTime ? Math.floor((Date.now() - new Date(decoded.loginTime)) / 1000 / 60) : null;
-    const remainingMinutes = Math.floor((decoded.exp - Date.now() / 1000) / 60);
+    const existing = await facultyDB.getRole(req.params.name);
+    if (!existing) {
+      return res.status(404).json({ error: "Role not found" });
+    }
+    if (existing.builtIn) {
+      return res.status(400).json({ error: "Built-in roles cannot be deleted" });
+    }
+
+    const users = await getUsersCollection();
+    const holders = await users.countDocuments({ role: existing.name });
+    if (holders > 0) {
+      return res.status(409).json({ error: `${holders} user(s) still have this role; assign them another one first` });
+    }
+
+    await facultyDB.deleteRole(existing.name);
+    setAuditSnapshot(res, {
+      target: { type: "role", id: existing.name },
+      before: { label: existing.label, permissions: existing.permissions },
+      after: null
+    });
+    console.log(`🗑️ Role ${existing.name} deleted by ${req.user.username}`);
+    res.json({ message: "Role deleted" });
+  } catch (error) {
+    console.error("❌ Failed to delete role:", error);
+    res.status(500).json({ error: "Failed to delete role" });
+  }
+});
+
+// === PASSWORD RESET ===
+
+// Create a single-use reset link for `user` and mail it. Returns the address it
+// went to, or null when the account has no email address.
+async function sendPasswordResetLink(user, req, requestedBy = null) {
+  const email = getResetEmail(user);
+  if (!email) {
+    return null;
+  }
+
+  const { token, hash } = createResetToken();
+  await facultyDB.createPasswordReset({
+    username: user.usernameLower,
+    tokenHash: hash,
+    expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MS),
+    requestedIp: req.ip || null,
+    requestedBy
+  });
+
+  const message = buildPasswordResetEmail({ username: user.username, link: buildResetLink(APP_BASE_URL, token) });
+  await mailer.send({ to: email, ...message });
+  console.log(`🔑 Password reset link for ${user.usernameLower} sent by ${mailer.name}`);
+  return email;
+}
+
+// "Forgot password". The answer is the same whether or not the account exists, so
+// the form cannot be used to find out which usernames are real.
+app.post("/api/auth/forgot-password", async (req, res) => {
+  const identifier = normalizeUsername(req.body?.username);
+  const sent = { message: "If that account exists, a reset link is on its way to its email address." };
+  try {
+    // Counted before anything else so unknown accounts and cooldowns use up the allowance too
+    await facultyDB.recordPasswordResetRequest(req.ip || null);
+    const hourAgo = new Date(Date.now() - 60 * 60 * 1000);
+    if (await facultyDB.countPasswordResetRequestsFromIp(req.ip || null, hourAgo) > MAX_RESET_REQUESTS_PER_IP) {
+      return res.status(429).json({ error: "Too many reset requests. Try again later." });
+    }
+
+    if (!identifier) {
+      return res.status(400).json({ error: "Enter your username or email address" });
+    }
+
+    const users = await getUsersCollection();
+    const user = await users.findOne({ $or: [{ usernameLower: identifier }, { linkedFacultyEmail: identifier }] });
+    if (!user) {
+      return res.json(sent);
+    }
+    setAuditSnapshot(res, { target: { type: "user", id: user.usernameLower } });
+
+    const latest = await facultyDB.getLatestPasswordReset(user.usernameLower);
+    if (latest && Date.now() - latest.createdAt.getTime() < RESET_REQUEST_COOLDOWN_MS) {
+      return res.json(sent);
+    }
+
+    if (!(await sendPasswordResetLink(user, req))) {
+      console.log(`⚠️ Password reset requested for ${user.usernameLower}, but the account has no email address`);
+    }
+    res.json(sent);
+  } catch (error) {
+    // Still the same answer: a mail failure must not reveal that the account exists
+    console.error("❌ Failed to send password reset link:", error);
+    res.json(sent);
+  }
+});
+
+// Lets the reset page say up front whether its link still works
+app.post("/api/auth/reset-password/check", async (req, res) => {
+  try {
+    const reset = req.body?.token ? await facultyDB.getActivePasswordReset(hashResetToken(req.body.token)) : null;
+    if (!reset) {
+      return res.status(400).json({ error: "This reset link is invalid, already used or expired. Request a new one." });
+    }
+    res.json({ valid: true, username: reset.username, expiresAt: reset.expiresAt });
+  } catch (error) {
+    console.error("❌ Failed to check reset link:", error);
+    res.status(500).json({ error: "Failed to check reset link" });
+  }
+});
+
+// Set a new password with a reset link. Clears mustChangePassword, since the user
+// chose this password, and signs the account out everywhere.
+app.post("/api/auth/reset-password", async (req, res) => {
+  const { token, newPassword } = req.body || {};
+  const invalidLink = { error: "This reset link is invalid, already used or expired. Request a new one." };
+
+  const passwordError = validateNewPassword(newPassword);
+  if (passwordError) {
+    return res.status(400).json({ error: passwordError });
+  }
+
+  try {
+    const tokenHash = hashResetToken(token || "");
+    const reset = token ? await facultyDB.getActivePasswordReset(tokenHash) : null;
+    const user = reset ? await findUserByUsername(reset.username) : null;
+    if (!user) {
+      return res.status(400).json(invalidLink);
+    }
+    setAuditSnapshot(res, { target: { type: "user", id: user.usernameLower } });
+
+    // A temporary password from an admin has to be replaced, not kept
+    if (verifyPassword(newPassword, user.passwordHash)) {
+      return res.status(400).json({ error: "Choose a password different from your current one" });
+    }
+
+    if (!(await facultyDB.consumePasswordReset(tokenHash))) {
+      return res.status(400).json(invalidLink);
+    }
+
+    const users = await getUsersCollection();
+    await users.updateOne(
+      { usernameLower: user.usernameLower },
+      {
+        $set: {
+          passwordHash: hashPassword(newPassword),
+          mustChangePassword: false,
+          updatedAt: new Date(),
+          passwordUpdatedAt: new Date()
+        }
+      }
+    );
+    await revokeUserTokens(user.usernameLower, "password_reset");
+    await facultyDB.clearLoginThrottle(getThrottleKeys(req.ip, user.usernameLower).find(throttle => throttle.kind === "username").key);
+
+    console.log(`🔑 Password reset by link for ${user.usernameLower}`);
+    res.json({ message: "Password updated. You can now sign in.", username: user.username });
+  } catch (error) {
+    console.error("❌ Password reset failed:", error);
+    res.status(500).json({ error: "Failed to reset password" });
+  }
+});
+
+// Admins can mail a reset link instead of handing out a temporary password
+app.post("/api/auth/users/:username/send-reset-link", requireAuth, requirePermission("users.manage"), async (req, res) => {
+  try {
+    const user = await findUserByUsername(req.params.username);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    // Same rule as Reset Password: a reset link is a way into the account
+    const grantError = getRoleGrantError(req.user, await facultyDB.getRole(user.role || "user") || { name: user.role });
+    if (grantError) {
+      return res.status(403).json({ error: grantError });
+    }
+
+    const email = await sendPasswordResetLink(user, req, req.user.username);
+    if (!email) {
+      return res.status(400).json({ error: `${user.username} has no email address; use Reset Password instead` });
+    }
+    res.json({ message: `Reset link sent to ${email}` });
+  } catch (error) {
+    console.error("❌ Failed to send reset link:", error);
+    res.status(500).json({ error: "Failed to send reset link" });
+  }
+});
+
+// Sign a user out on every device, e.g. after a lost laptop
+app.post("/api/auth/users/:username/logout-all", requireAuth, requirePermission("users.manage"), async (req, res) => {
+  try {
+    const username = normalizeUsername(req.params.username);
+    const user = await findUserByUsername(username);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const ended = await revokeUserTokens(username, "admin_logout_all");
+    setAuditSnapshot(res, { target: { type: "user", id: username }, after: { sessionsEnded: ended } });
+    res.json({ message: `Ended ${ended} session(s) for ${username}`, sessionsEnded: ended });
+  } catch (error) {
+    console.error("❌ Failed to end user sessions:", error);
+    res.status(500).json({ error: "Failed to end user sessions" });
+  }
+});
+
+app.post("/api/auth/migrate-faculty-accounts", requireAuth, requirePermission("users.manage"), async (req, res) => {
+  try {
+    const db = await facultyDB.connect();
+    const facultyRecords = await db.collection("faculty").find({}).toArray();
+    const createdUsers = [];
+
+    for (const faculty of facultyRecords) {
+      const created = await upsertUserFromFaculty(faculty);
+      if (created?.created) {
+        createdUsers.push({
+          facultyName: faculty.name,
+          username: created.user.username,
+          temporaryPassword: created.tempPassword
+        });
+      }
+    }
+
+    setAuditSnapshot(res, { after: { createdUsernames: createdUsers.map(user => user.username) } });
+    res.json({
+      message: "Faculty accounts migrated",
+      createdCount: createdUsers.length,
+      createdUsers
+    });
+  } catch (error) {
+    console.error("❌ Failed to migrate faculty accounts:", error);
+    res.status(500).json({ error: "Failed to migrate faculty accounts" });
+  }
+});
+
+app.post("/api/auth/change-password", requireAuth, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const username = normalizeUsername(req.user.username);
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ error: "Current and new password are required" });
+    }
+
+    const passwordError = validateNewPassword(newPassword);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
+    const users = await getUsersCollection();
+    const user = await findUserByUsername(username);
+
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    if (!verifyPassword(currentPassword, user.passwordHash)) {
+      return res.status(401).json({ error: "Current password is incorrect" });
+    }
+
+    const passwordHash = hashPassword(newPassword);
+    await users.updateOne(
+      { usernameLower: username },
+      {
+        $set: {
+          passwordHash,
+          mustChangePassword: false,
+          updatedAt: new Date(),
+          passwordUpdatedAt: new Date()
+        }
+      }
+    );
+
+    // Every other session ends; this one continues on a fresh session
+    await revokeUserTokens(username, "password_changed");
+    const tokens = await createAuthTokens(await findUserByUsername(username), req);
+
+    setAuditSnapshot(res, { target: { type: "user", id: username }, after: null });
+    res.json({ message: "Password changed successfully", ...tokens });
+  } catch (error) {
+    console.error("❌ Failed to change password:", error);
+    res.status(500).json({ error: "Failed to change password" });
+  }
+});
+
+// Body: one override or a list of them, each { facultyId, manualOverride, overrideExpiry }.
+// Entries that carry `name` instead of `facultyId` are still accepted.
+app.post("/api/update", requireAuth, async (req, res) => {
+  const { value: overrides, error, errors } = validateOverrides(req.body);
+  if (error) {
+    return res.status(400).json({ error, errors });
+  }
+
+  try {
+    const allFaculty = await facultyDB.getAllFaculty();
+    const updates = [];
+    for (const { ref, manualOverride, overrideExpiry } of overrides) {
+      const faculty = findFacultyByRef(allFaculty, ref);
+      if (!faculty) {
+        return res.status(404).json({ error: `Faculty not found: ${ref}` });
+      }
+      updates.push({ facultyId: faculty.facultyId, name: faculty.name, manualOverride, overrideExpiry });
+    }
+
+    if (!hasPermission(req.user, "overrides.set.others")) {
+      if (!hasPermission(req.user, "overrides.set.own")) {
+        return res.status(403).json({ error: "Forbidden" });
+      }
+
+      if (!req.user.linkedFacultyId && !req.user.linkedFacultyName) {
+        return res.status(403).json({ error: "No faculty account linked to this user" });
+      }
+
+      if (updates.some(update => !isLinkedFaculty(req.user, update))) {
+        return res.status(403).json({ error: "You can only update your own status" });
+      }
+    }
+
+    setAuditSnapshot(res, {
+      target: { type: "faculty", id: updates.map(update => update.facultyId).join(",") },
+      before: updates.map(update => {
+        const faculty = findFacultyByRef(allFaculty, update.facultyId);
+        return {
+          facultyId: faculty.facultyId,
+          name: faculty.name,
+          manualOverride: faculty.manualOverride || null,
+          overrideExpiry: faculty.overrideExpiry || null
+        };
+      }),
+      after: updates.map(({ facultyId, name, manualOverride = null, overrideExpiry = null }) =>
+        ({ facultyId, name, manualOverride, overrideExpiry }))
+    });
+    const result = await facultyDB.bulkUpdateOverrides(updates, {
+      source: updates.length > 1 ? STATUS_SOURCES.BULK_SET : STATUS_SOURCES.MANUAL_OVERRIDE,
+      actor: req.user.username
+    });
+    console.log(`✅ Updated ${result} faculty records`);
+    await statusEngine.refresh(updates.map(update => update.facultyId), req.user.username);
+    res.json({ message: "Faculty data updated successfully." });
+  } catch (error) {
+    console.error("❌ Error updating faculty:", error);
+    res.status(500).json({ error: "Failed to update faculty data" });
+  }
+});
+
+// Exchange a refresh token for a new access token and the next refresh token.
+// A refresh token that was already replaced means it leaked: its session is ended.
+app.post("/api/auth/refresh", async (req, res) => {
+  const parsed = parseRefreshToken(req.body?.refreshToken);
+  if (!parsed) {
+    return res.status(400).json({ error: "refreshToken is required" });
+  }
+
+  try {
+    const session = await facultyDB.getAuthSession(parsed.sessionId);
+    if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+      return res.status(401).json({ error: "Session ended" });
+    }
+
+    const user = await findUserByUsername(session.username);
+    if (!user || getTokenVersion(user) !== session.tokenVersion) {
+      await facultyDB.revokeAuthSession(session._id, "token_revoked");
+      return res.status(401).json({ error: "Session ended" });
+    }
+
+    if (parsed.hash !== session.refreshTokenHash) {
+      const recentlyRotated = parsed.hash === session.previousRefreshTokenHash &&
+        Date.now() - session.rotatedAt.getTime() < REFRESH_REUSE_GRACE_MS;
+      if (!recentlyRotated) {
+        await facultyDB.revokeAuthSession(session._id, "refresh_token_reuse");
+        console.log(`⚠️ Refresh token reused for ${session.username}; session ${session._id} ended`);
+        return res.status(401).json({ error: "Session ended" });
+      }
+
+      // Another tab just rotated it: a new access token, but the refresh token stays theirs
+      return res.json({ token: buildAuthToken(user, session), refreshToken: null, expiresIn: ACCESS_TOKEN_EXPIRES_IN });
+    }
+
+    const next = createRefreshSecret();
+    const rotated = await facultyDB.rotateAuthSession(session._id, parsed.hash, next.hash);
+    if (!rotated) {
+      return res.status(401).json({ error: "Session ended" });
+    }
+
+    res.json({
+      token: buildAuthToken(user, rotated),
+      refreshToken: `${rotated._id}.${next.secret}`,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+      sessionExpiresAt: rotated.expiresAt
+    });
+  } catch (error) {
+    console.error("❌ Token refresh failed:", error);
+    res.status(500).json({ error: "Failed to refresh session" });
+  }
+});
+
+// Ends this device's session. Works with an expired access token or with only the refresh token.
+app.post("/api/logout", async (req, res) => {
+  try {
+    const parsed = parseRefreshToken(req.body?.refreshToken);
+    let sessionId = null;
+    if (parsed) {
+      const session = await facultyDB.getAuthSession(parsed.sessionId);
+      if (session && [session.refreshTokenHash, session.previousRefreshTokenHash].includes(parsed.hash)) {
+        sessionId = session._id;
+      }
+    } else if (req.headers.authorization?.startsWith("Bearer ")) {
+      try {
+        sessionId = jwt.verify(req.headers.authorization.substring(7), JWT_SECRET, { ignoreExpiration: true }).sid || null;
+      } catch (error) {
+        // A token we did not sign has no session to end
+      }
+    }
+
+    if (sessionId) {
+      await facultyDB.revokeAuthSession(sessionId, "logout");
+    }
+    res.json({ success: true, message: "Logged out successfully" });
+  } catch (error) {
+    console.error("❌ Logout failed:", error);
+    res.status(500).json({ error: "Failed to log out" });
+  }
+});
+
+// "Log out everywhere": ends every session of the signed-in user, this one included
+app.post("/api/auth/logout-all", requireAuth, async (req, res) => {
+  try {
+    const ended = await revokeUserTokens(req.user.username, "logout_all");
+    console.log(`🔒 ${req.user.username} logged out of ${ended} session(s)`);
+    res.json({ success: true, message: `Logged out of ${ended} session(s)`, sessionsEnded: ended });
+  } catch (error) {
+    console.error("❌ Logout everywhere failed:", error);
+    res.status(500).json({ error: "Failed to log out everywhere" });
+  }
+});
+
+app.get("/api/check-login", requireAuth, async (req, res) => {
+  try {
+    const decoded = req.user;
+    const user = await findUserByUsername(decoded.username);
+    // Both describe the login session; the access token itself is renewed every few minutes
+    const sessionAge = Math.floor((Date.now() - req.authSession.createdAt.getTime()) / 1000 / 60);
+    const remainingMinutes = Math.floor((req.authSession.expiresAt.getTime() - Date.now()) / 1000 / 60);
 
     res.json({
       loggedIn: true,
       sessionAge: sessionAge,
       remainingMinutes: remainingMinutes,
-      user: user ? normalizeUserRecord(user) : {
-        username: decoded.username,
-        role: decoded.role || "user",
-        linkedFacultyName: decoded.linkedFacultyName || null,
-        linkedFacultyEmail: decoded.linkedFacultyEmail || null,
-        mustChangePassword: !!decoded.mustChangePassword
-      }
+      user: { ...normalizeUserRecord(user), permissions: decoded.permissions }
     });
   } catch (error) {
     res.status(401).json({ loggedIn: false, error: error.message });
   }
 });
 
-app.get("/api/ads", (req, res) => {
-  const adsDir = path.join(__dirname, "public/ads");
-  fs.readdir(adsDir, (err, files) => {
-    if (err) return res.status(500).json({ error: "Failed to read ads directory" });
+app.get("/api/ads", async (req, res) => {
+  try {
+    const files = (await storage.list(ADS_PREFIX)).map(file => path.posix.basename(file.key)).sort();
     const ads = files
       .filter(f => /\.(jpg|jpeg|png|gif|webp|mp4|webm)$/i.test(f))
       .map(f => ({
@@ -742,16 +1612,19 @@ app.get("/api/ads", (req, res) => {
         src: `/ads/${f}`
       }));
     res.json(ads);
-  });
+  } catch (error) {
+    console.error("❌ Error listing ads:", error);
+    res.status(500).json({ error: "Failed to read ads directory" });
+  }
 });
 
 // HYBRID MARQUEE - File takes precedence over database
 app.get("/api/marquee", async (req, res) => {
   try {
-    // Try file first (takes precedence)
-    const marqueePath = path.join(__dirname, "public/marquee.txt");
-    if (fs.existsSync(marqueePath)) {
-      const fileMarquee = fs.readFileSync(marqueePath, 'utf8').trim();
+    // Stored file first (takes precedence)
+    const storedMarquee = await storage.read(MARQUEE_KEY);
+    if (storedMarquee) {
+      const fileMarquee = storedMarquee.toString('utf8').trim();
       if (fileMarquee) {
         // Update database with file content
         await facultyDB.setSetting('marquee_text', fileMarquee);
@@ -782,11 +1655,44 @@ app.get("/", (req, res) => {
 
 // === ADMIN ROUTES ===
 
+// Conflicts for `candidate`'s weekly schedule against everyone else's. `others` defaults
+// to the live faculty routines; `excludeNames` are the candidate's current/new names.
+async function checkFacultySchedule(candidate, excludeNames = [candidate.name], others = null) {
+  const exclude = new Set(excludeNames.filter(Boolean));
+  const everyone = (others || await facultyDB.getAllFaculty())
+    .map(f => ({ ...f, name: f.name ?? f.facultyName })); // semester schedules carry facultyName
+  return checkScheduleConflicts(
+    candidate,
+    everyone.filter(f => !exclude.has(f.name)),
+    await facultyDB.listRooms()
+  );
+}
+
+function conflictErrorBody(conflicts) {
+  return {
+    error: `Schedule has ${conflicts.errors.length} conflict(s)`,
+    conflicts
+  };
+}
+
+// Keep the active semester's copy of a member's routine in step with direct edits
+async function syncActiveSemesterSchedule(facultyId, actor) {
+  const activeId = await facultyDB.getSetting(ACTIVE_SEMESTER_SETTING);
+  if (!activeId) return;
+
+  const faculty = await facultyDB.getFacultyById(facultyId);
+  if (faculty) {
+    await facultyDB.upsertSemesterSchedule(activeId, faculty, pickSchedule(faculty), actor);
+  }
+}
+
+// Faculty routes take the member's facultyId; the display name is still accepted
+// as an alias so links and scripts written before facultyIds keep working.
+
 // Get single faculty member
-app.get("/api/admin/faculty/:name", requireAuth, async (req, res) => {
+app.get("/api/admin/faculty/:facultyId", requireAuth, async (req, res) => {
   try {
-    const faculty = await facultyDB.getAllFaculty();
-    const member = faculty.find(f => f.name === req.params.name);
+    const member = await facultyDB.resolveFaculty(req.params.facultyId);
     if (!member) return res.status(404).json({ error: "Faculty not found" });
     res.json(member);
   } catch (error) {
@@ -795,247 +1701,1237 @@ app.get("/api/admin/faculty/:name", requireAuth, async (req, res) => {
   }
 });
 
-// Add new faculty member
-app.post("/api/admin/faculty", requireAuth, requireRole("admin", "editor"), async (req, res) => {
+// Dry-run the conflict checker so the schedule form can show problems before saving.
+// `originalName` is the member being edited (omitted when adding someone new).
+app.post("/api/admin/faculty/check-schedule", requireAuth, async (req, res) => {
   try {
-    const db = await facultyDB.connect();
-    const newFaculty = {
-      ...req.body,
-      createdAt: new Date(),
-      updatedAt: new Date(),
-      status: "off_duty",
-      manualOverride: null,
-      overrideExpiry: null
-    };
+    const { originalName, name, weekend, officeHours, classTimes } = req.body || {};
+
+    // Checked like the save it precedes: editing needs the edit permissions for that
+    // record, a new member needs faculty.create
+    if (originalName) {
+      const existing = await facultyDB.resolveFaculty(originalName);
+      if (!existing) {
+        return res.status(404).json({ error: "Faculty not found" });
+      }
+      if (!canEditFaculty(req.user, existing)) {
+        return res.status(403).json({ error: "You can only edit your own faculty profile" });
+      }
+    } else if (!hasPermission(req.user, "faculty.create")) {
+      return res.status(403).json({ error: "Forbidden" });
+    }
 
-    if (!newFaculty.name) {
-      return res.status(400).json({ error: "Faculty name is required" });
+    // Malformed rows are reported like conflicts so the form can mark them
+    const { errors } = validateSchedule({ weekend, officeHours, classTimes });
+    if (errors) {
+      return res.json({
+        errors: errors.map(error => ({ ...error, message: `${error.field} ${error.message}` })),
+        warnings: []
+      });
     }
 
+    const conflicts = await checkFacultySchedule(
+      { name: name || originalName || "", weekend, officeHours, classTimes },
+      [originalName, name]
+    );
+    res.json(conflicts);
+  } catch (error) {
+    console.error("❌ Error checking schedule:", error);
+    res.status(500).json({ error: "Failed to check schedule" });
+  }
+});
+
+// Add new faculty member
+app.post("/api/admin/faculty", requireAuth, requirePermission("faculty.create"), async (req, res) => {
+  try {
+    const { value, error, errors } = validateFacultyRecord(req.body);
+    if (error) {
+      return res.status(400).json({ error, errors });
+    }
+
+    const db = await facultyDB.connect();
+    const newFaculty = {
+      ...value,
+      facultyId: null,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+      status: "off_duty",
+      manualOverride: null,
+      overrideExpiry: null
+    };
+
     // Check if faculty already exists
     const existing = await db.collection('faculty').findOne({ name: newFaculty.name });
     if (existing) {
       return res.status(400).json({ error: "Faculty with this name already exists" });
     }
 
+    const conflicts = await checkFacultySchedule(newFaculty);
+    if (conflicts.errors.length > 0) {
+      return res.status(400).json(conflictErrorBody(conflicts));
+    }
+
+    newFaculty.facultyId = await facultyDB.generateFacultyId(newFaculty.name);
     await db.collection('faculty').insertOne(newFaculty);
     await upsertUserFromFaculty(newFaculty, { role: "user" });
-    console.log(`✅ Added new faculty: ${newFaculty.name}`);
-    res.json({ message: "Faculty added successfully" });
+    await syncActiveSemesterSchedule(newFaculty.facultyId, req.user.username);
+    console.log(`✅ Added new faculty: ${newFaculty.name} (${newFaculty.facultyId})`);
+    await statusEngine.refresh([newFaculty.facultyId], req.user.username);
+    setAuditSnapshot(res, { target: { type: "faculty", id: newFaculty.facultyId }, after: value });
+    res.json({ message: "Faculty added successfully", facultyId: newFaculty.facultyId, warnings: conflicts.warnings });
   } catch (error) {
     console.error("Error adding faculty:", error);
     res.status(500).json({ error: "Failed to add faculty" });
   }
 });
 
-// Update faculty member (schedule, contact info, etc.)
-app.put("/api/admin/faculty/:name", requireAuth, async (req, res) => {
+// Update faculty member (schedule, contact info, etc.). A rename keeps the
+// facultyId, so the linked login, history and calendar links stay attached.
+app.put("/api/admin/faculty/:facultyId", requireAuth, async (req, res) => {
+  try {
+    const db = await facultyDB.connect();
+    const existing = await facultyDB.resolveFaculty(req.params.facultyId);
+    if (!existing) {
+      return res.status(404).json({ error: "Faculty not found" });
+    }
+
+    if (!canEditFaculty(req.user, existing)) {
+      return res.status(403).json({ error: "You can only edit your own faculty profile" });
+    }
+
+    // Only the fields sent are checked and changed; status and overrides are never taken from here
+    const { value, error, errors } = validateFacultyRecord(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ error, errors });
+    }
+
+    const originalName = existing.name;
+    const updateData = {
+      ...value,
+      updatedAt: new Date()
+    };
+
+    // Preserve precedence if not provided
+    if (updateData.precedence === undefined && existing.precedence !== undefined) {
+      updateData.precedence = existing.precedence;
+    }
+
+    console.log(`Updating faculty ${originalName} with precedence:`, updateData.precedence);
+
+    // If name is being changed, check for duplicates
+    if (updateData.name && updateData.name !== originalName) {
+      const duplicate = await db.collection('faculty').findOne({ name: updateData.name });
+      if (duplicate) {
+        return res.status(400).json({ error: "Faculty with this name already exists" });
+      }
+    }
+
+    let warnings = [];
+    if (SCHEDULE_FIELDS.some(field => field in updateData)) {
+      const conflicts = await checkFacultySchedule(
+        { ...existing, ...updateData },
+        [originalName, updateData.name]
+      );
+      if (conflicts.errors.length > 0) {
+        return res.status(400).json(conflictErrorBody(conflicts));
+      }
+      warnings = conflicts.warnings;
+    }
+
+    const result = await db.collection('faculty').updateOne(
+      { facultyId: existing.facultyId },
+      { $set: updateData }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ error: "Faculty not found" });
+    }
+
+    if (updateData.name && updateData.name !== originalName) {
+      await facultyDB.renameFacultyReferences(existing.facultyId, updateData.name);
+      const users = await getUsersCollection();
+      await users.updateMany(
+        linkedUsersFilter(existing),
+        {
+          $set: {
+            linkedFacultyId: existing.facultyId,
+            linkedFacultyName: updateData.name,
+            linkedFacultyEmail: updateData.email || existing.email || null,
+            updatedAt: new Date()
+          }
+        }
+      );
+    }
+
+    if (SCHEDULE_FIELDS.some(field => field in updateData)) {
+      await syncActiveSemesterSchedule(existing.facultyId, req.user.username);
+    }
+
+    console.log(`✅ Updated faculty: ${originalName} (precedence: ${updateData.precedence || 'default'})`);
+    await statusEngine.refresh([existing.facultyId], req.user.username);
+
+    // Only the fields this request sent, as they were and as they are now
+    setAuditSnapshot(res, {
+      target: { type: "faculty", id: existing.facultyId },
+      before: Object.fromEntries(Object.keys(value).map(field => [field, existing[field] ?? null])),
+      after: value
+    });
+
+    res.json({ message: "Faculty updated successfully", facultyId: existing.facultyId, warnings });
+  } catch (error) {
+    console.error("Error updating faculty:", error);
+    res.status(500).json({ error: "Failed to update faculty" });
+  }
+});
+
+// Delete faculty member
+app.delete("/api/admin/faculty/:facultyId", requireAuth, requirePermission("faculty.delete"), async (req, res) => {
+  try {
+    const faculty = await facultyDB.resolveFaculty(req.params.facultyId);
+    if (!faculty) {
+      return res.status(404).json({ error: "Faculty not found" });
+    }
+
+    const db = await facultyDB.connect();
+    const result = await db.collection('faculty').deleteOne({ facultyId: faculty.facultyId });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: "Faculty not found" });
+    }
+
+    console.log(`✅ Deleted faculty: ${faculty.name} (${faculty.facultyId})`);
+    await deleteUsers(linkedUsersFilter(faculty), "faculty_deleted");
+    await statusEngine.refresh([faculty.facultyId], req.user.username);
+    setAuditSnapshot(res, { target: { type: "faculty", id: faculty.facultyId }, before: faculty, after: null });
+    res.json({ message: "Faculty deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting faculty:", error);
+    res.status(500).json({ error: "Failed to delete faculty" });
+  }
+});
+
+// === REPORTS ===
+
+// Hours per status and office-hour compliance, from status_history.
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD (inclusive, Asia/Dhaka dates), &format=csv to download
+app.get("/api/reports/attendance", requireAuth, requirePermission("reports.view"), async (req, res) => {
+  try {
+    const today = getZonedClock().dateKey;
+    const to = req.query.to || today;
+    const from = req.query.from || `${to.slice(0, 8)}01`;
+
+    if (!isDateKey(from) || !isDateKey(to)) {
+      return res.status(400).json({ error: "from and to must be dates in YYYY-MM-DD format" });
+    }
+
+    if (from > to) {
+      return res.status(400).json({ error: "\"from\" must not be after \"to\"" });
+    }
+
+    if (addDays(from, MAX_REPORT_DAYS) <= to) {
+      return res.status(400).json({ error: `Report range cannot exceed ${MAX_REPORT_DAYS} days` });
+    }
+
+    const faculty = await facultyDB.getAllFaculty();
+    const history = await facultyDB.getStatusHistoryInRange(
+      zonedTimeToDate(from),
+      zonedTimeToDate(addDays(to, 1))
+    );
+
+    const calendarEntries = await facultyDB.getCalendarEntries(from, to);
+
+    faculty.sort((a, b) => (a.precedence || 50) - (b.precedence || 50) || a.name.localeCompare(b.name));
+    const report = buildAttendanceReport(faculty, history, from, to, new Date(), calendarEntries);
+
+    if (req.query.format === "csv") {
+      const { columns, rows } = attendanceReportToTable(report, STATUS_LABELS);
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="attendance_${from}_${to}.csv"`);
+      return res.send(toCsv(rows, columns));
+    }
+
+    res.json({ ...report, labels: STATUS_LABELS });
+  } catch (error) {
+    console.error("❌ Error generating attendance report:", error);
+    res.status(500).json({ error: "Failed to generate attendance report" });
+  }
+});
+
+// === EXPORTS ===
+
+// Directory, routines, room grids and batch timetables for printing or sharing.
+// ?format=csv downloads a spreadsheet, otherwise a printable page is returned.
+// Optional ?faculty= (facultyId or name), ?room= or ?batch= narrows the export to one entry, and
+// ?date= picks the semester whose routine is exported (default today).
+app.get("/api/exports/:type", requireAuth, requirePermission("reports.view"), async (req, res) => {
+  try {
+    const { type } = req.params;
+    if (!EXPORT_TYPES[type]) {
+      return res.status(404).json({ error: `Export must be one of: ${Object.keys(EXPORT_TYPES).join(", ")}` });
+    }
+
+    const dateKey = parseTimetableDate(req.query);
+    if (!dateKey) {
+      return res.status(400).json({ error: "date must be in YYYY-MM-DD format" });
+    }
+
+    let faculty = await getFacultyForDate(dateKey);
+    if (req.query.faculty) {
+      const member = findFacultyByRef(faculty, req.query.faculty);
+      if (!member) {
+        return res.status(404).json({ error: "Faculty not found" });
+      }
+      faculty = [member];
+    }
+
+    let exportDoc;
+    if (type === "directory") {
+      exportDoc = buildDirectoryExport(faculty);
+    } else if (type === "routines") {
+      exportDoc = buildRoutinesExport(faculty);
+    } else if (type === "rooms") {
+      exportDoc = buildRoomsExport(faculty, await facultyDB.listRooms(), req.query.room || null);
+    } else {
+      exportDoc = buildBatchesExport(faculty, req.query.batch || null);
+      if (req.query.batch && exportDoc.sections.length === 0) {
+        return res.status(404).json({ error: "No classes found for this batch" });
+      }
+    }
+
+    const filename = `${exportDoc.filename}_${dateKey}`.replace(/[^A-Za-z0-9._-]+/g, "_");
+    if (req.query.format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="${filename}.csv"`);
+      return res.send(toCsv(exportDoc.table.rows, exportDoc.table.columns));
+    }
+
+    const semester = await facultyDB.getSemesterForDate(dateKey);
+    res.setHeader("Content-Type", "text/html; charset=utf-8");
+    res.send(renderPrintableHtml(exportDoc, { subtitle: semester ? semester.name : "" }));
+  } catch (error) {
+    console.error("❌ Error building export:", error);
+    res.status(500).json({ error: "Failed to build export" });
+  }
+});
+
+// === LEAVES ===
+
+function canManageLeaves(user) {
+  return hasPermission(user, "leaves.manage");
+}
+
+// Users see their own leaves; leave managers see everyone's, or one member's
+// with ?facultyId= (a name is accepted as ?facultyName=)
+app.get("/api/leaves", requireAuth, async (req, res) => {
+  try {
+    const filter = {
+      facultyId: null,
+      status: req.query.status || null,
+      from: req.query.from || null,
+      to: req.query.to || null
+    };
+
+    if (filter.status && !LEAVE_STATUSES.includes(filter.status)) {
+      return res.status(400).json({ error: "Invalid leave status" });
+    }
+
+    if (!canManageLeaves(req.user)) {
+      const linked = await getLinkedFaculty(req.user);
+      if (!linked) {
+        return res.status(403).json({ error: "No faculty account linked to this user" });
+      }
+      filter.facultyId = linked.facultyId;
+    } else if (req.query.facultyId || req.query.facultyName) {
+      const faculty = await facultyDB.resolveFaculty(req.query.facultyId || req.query.facultyName);
+      if (!faculty) {
+        return res.status(404).json({ error: "Faculty not found" });
+      }
+      filter.facultyId = faculty.facultyId;
+    }
+
+    res.json(await facultyDB.listLeaves(filter));
+  } catch (error) {
+    console.error("❌ Error listing leaves:", error);
+    res.status(500).json({ error: "Failed to list leaves" });
+  }
+});
+
+app.post("/api/leaves", requireAuth, async (req, res) => {
+  try {
+    const { value, error } = validateLeaveRequest(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    let faculty;
+    if (canManageLeaves(req.user)) {
+      const ref = req.body.facultyId || req.body.facultyName;
+      if (!ref) {
+        return res.status(400).json({ error: "Faculty name is required" });
+      }
+      faculty = await facultyDB.resolveFaculty(ref);
+    } else {
+      faculty = await getLinkedFaculty(req.user);
+      if (!faculty) {
+        return res.status(403).json({ error: "No faculty account linked to this user" });
+      }
+    }
+
+    if (!faculty) {
+      return res.status(404).json({ error: "Faculty not found" });
+    }
+
+    const overlapping = await facultyDB.findOverlappingLeave(faculty.facultyId, value.startDate, value.endDate);
+    if (overlapping) {
+      return res.status(409).json({
+        error: `Overlaps an existing ${overlapping.status} leave (${overlapping.startDate} to ${overlapping.endDate})`
+      });
+    }
+
+    const leave = await facultyDB.createLeave({
+      ...value,
+      facultyId: faculty.facultyId,
+      facultyName: faculty.name,
+      requestedBy: req.user.username
+    });
+    setAuditSnapshot(res, { target: { type: "leave", id: String(leave._id) }, after: leave });
+
+    console.log(`✅ Leave requested for ${faculty.name}: ${value.startDate} to ${value.endDate} (${value.type})`);
+    res.status(201).json({ message: "Leave request submitted", leave });
+  } catch (error) {
+    console.error("❌ Error creating leave:", error);
+    res.status(500).json({ error: "Failed to submit leave request" });
+  }
+});
+
+async function reviewLeave(req, res, fromStatuses, toStatus) {
+  try {
+    const existing = await facultyDB.getLeaveById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: "Leave not found" });
+    }
+
+    if (toStatus === "cancelled" && !canManageLeaves(req.user) &&
+      (await getLinkedFaculty(req.user))?.facultyId !== existing.facultyId) {
+      return res.status(403).json({ error: "Users can only cancel their own leave" });
+    }
+
+    const leave = await facultyDB.updateLeaveStatus(req.params.id, fromStatuses, {
+      status: toStatus,
+      reviewedBy: req.user.username,
+      reviewedAt: new Date(),
+      reviewNote: req.body?.note ? String(req.body.note).trim().slice(0, 500) : null
+    });
+
+    if (!leave) {
+      return res.status(409).json({ error: `Leave is already ${existing.status}` });
+    }
+    setAuditSnapshot(res, { target: { type: "leave", id: String(leave._id) }, before: existing, after: leave });
+
+    console.log(`✅ Leave ${toStatus} for ${leave.facultyName} by ${req.user.username}`);
+    await statusEngine.refresh([leave.facultyId], req.user.username);
+    res.json({ message: `Leave ${toStatus}`, leave });
+  } catch (error) {
+    console.error(`❌ Error updating leave to ${toStatus}:`, error);
+    res.status(500).json({ error: "Failed to update leave" });
+  }
+}
+
+app.post("/api/leaves/:id/approve", requireAuth, requirePermission("leaves.manage"), (req, res) =>
+  reviewLeave(req, res, ["pending"], "approved")
+);
+
+app.post("/api/leaves/:id/reject", requireAuth, requirePermission("leaves.manage"), (req, res) =>
+  reviewLeave(req, res, ["pending"], "rejected")
+);
+
+app.post("/api/leaves/:id/cancel", requireAuth, (req, res) =>
+  reviewLeave(req, res, ["pending", "approved"], "cancelled")
+);
+
+// === ACADEMIC CALENDAR ===
+
+async function getCalendarDay(dateKey = getZonedClock().dateKey) {
+  return resolveCalendarDay(await facultyDB.getCalendarEntries(dateKey, dateKey), dateKey);
+}
+
+// Recompute statuses and tell displays when today's calendar may have changed
+async function publishCalendarChange(actor) {
+  await statusEngine.refresh([], actor);
+  facultyEvents.publish("calendar", await getCalendarDay());
+}
+
+// Today's holiday / exam / makeup info for the display
+app.get("/api/academic-calendar/today", async (req, res) => {
+  try {
+    res.json(await getCalendarDay());
+  } catch (error) {
+    console.error("❌ Error loading calendar day:", error);
+    res.status(500).json({ error: "Failed to load calendar" });
+  }
+});
+
+app.get("/api/academic-calendar", requireAuth, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if ((from && !isDateKey(from)) || (to && !isDateKey(to))) {
+      return res.status(400).json({ error: "from and to must be dates in YYYY-MM-DD format" });
+    }
+
+    res.json(await facultyDB.getCalendarEntries(from || null, to || null));
+  } catch (error) {
+    console.error("❌ Error listing calendar entries:", error);
+    res.status(500).json({ error: "Failed to list calendar entries" });
+  }
+});
+
+app.post("/api/academic-calendar", requireAuth, requirePermission("calendar.manage"), async (req, res) => {
+  try {
+    const { value, error } = validateCalendarEntry(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const entry = await facultyDB.createCalendarEntry({ ...value, createdBy: req.user.username });
+    setAuditSnapshot(res, { target: { type: "calendar", id: String(entry._id) }, after: entry });
+    console.log(`✅ Calendar ${value.type} added: ${value.title} (${value.startDate} to ${value.endDate})`);
+    await publishCalendarChange(req.user.username);
+    res.status(201).json({ message: "Calendar entry added", entry });
+  } catch (error) {
+    console.error("❌ Error adding calendar entry:", error);
+    res.status(500).json({ error: "Failed to add calendar entry" });
+  }
+});
+
+app.put("/api/academic-calendar/:id", requireAuth, requirePermission("calendar.manage"), async (req, res) => {
+  try {
+    const { value, error } = validateCalendarEntry(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const existing = await facultyDB.getCalendarEntryById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: "Calendar entry not found" });
+    }
+
+    const entry = await facultyDB.updateCalendarEntry(req.params.id, { ...value, updatedBy: req.user.username });
+    if (!entry) {
+      return res.status(404).json({ error: "Calendar entry not found" });
+    }
+    setAuditSnapshot(res, { target: { type: "calendar", id: String(entry._id) }, before: existing, after: entry });
+
+    console.log(`✅ Calendar entry updated: ${entry.title}`);
+    await publishCalendarChange(req.user.username);
+    res.json({ message: "Calendar entry updated", entry });
+  } catch (error) {
+    console.error("❌ Error updating calendar entry:", error);
+    res.status(500).json({ error: "Failed to update calendar entry" });
+  }
+});
+
+app.delete("/api/academic-calendar/:id", requireAuth, requirePermission("calendar.manage"), async (req, res) => {
+  try {
+    const entry = await facultyDB.deleteCalendarEntry(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: "Calendar entry not found" });
+    }
+    setAuditSnapshot(res, { target: { type: "calendar", id: String(entry._id) }, before: entry, after: null });
+
+    console.log(`✅ Calendar entry deleted: ${entry.title}`);
+    await publishCalendarChange(req.user.username);
+    res.json({ message: "Calendar entry deleted" });
+  } catch (error) {
+    console.error("❌ Error deleting calendar entry:", error);
+    res.status(500).json({ error: "Failed to delete calendar entry" });
+  }
+});
+
+// === ROOMS ===
+
+// Room registry; public so displays and other tools can list rooms
+app.get("/api/rooms", async (req, res) => {
+  try {
+    res.json(await facultyDB.listRooms(req.query.active === "true"));
+  } catch (error) {
+    console.error("❌ Error listing rooms:", error);
+    res.status(500).json({ error: "Failed to list rooms" });
+  }
+});
+
+app.post("/api/rooms", requireAuth, requirePermission("rooms.manage"), async (req, res) => {
+  try {
+    const { value, error } = validateRoom(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (await facultyDB.getRoomByCode(value.code)) {
+      return res.status(409).json({ error: `Room ${value.code} already exists` });
+    }
+
+    const room = await facultyDB.createRoom(value);
+    setAuditSnapshot(res, { target: { type: "room", id: room.code }, after: room });
+    console.log(`✅ Room added: ${value.code} (${ROOM_TYPES[value.type]})`);
+    res.status(201).json({ message: "Room added", room });
+  } catch (error) {
+    console.error("❌ Error adding room:", error);
+    res.status(500).json({ error: "Failed to add room" });
+  }
+});
+
+app.put("/api/rooms/:code", requireAuth, requirePermission("rooms.manage"), async (req, res) => {
+  try {
+    const code = normalizeRoomCode(req.params.code);
+    if (req.body.code !== undefined && normalizeRoomCode(req.body.code) !== code) {
+      return res.status(400).json({ error: "Room code cannot be changed; add a new room instead" });
+    }
+
+    const { value, error } = validateRoom({ ...req.body, code });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const existing = await facultyDB.getRoomByCode(code);
+    if (!existing) {
+      return res.status(404).json({ error: "Room not found" });
+    }
+
+    const room = await facultyDB.updateRoom(code, value);
+    if (!room) {
+      return res.status(404).json({ error: "Room not found" });
+    }
+    setAuditSnapshot(res, { target: { type: "room", id: code }, before: existing, after: room });
+
+    console.log(`✅ Room updated: ${code}${value.active ? "" : " (inactive)"}`);
+    res.json({ message: "Room updated", room });
+  } catch (error) {
+    console.error("❌ Error updating room:", error);
+    res.status(500).json({ error: "Failed to update room" });
+  }
+});
+
+// Rooms still used by a class can only be deactivated, so schedules never point at nothing
+app.delete("/api/rooms/:code", requireAuth, requirePermission("rooms.manage"), async (req, res) => {
+  try {
+    const code = normalizeRoomCode(req.params.code);
+    const usage = (await facultyDB.getAllFaculty())
+      .flatMap(faculty => listClassRooms(faculty.classTimes))
+      .filter(entry => entry.room === code).length;
+
+    if (usage > 0) {
+      return res.status(409).json({
+        error: `Room ${code} is used by ${usage} class(es); deactivate it instead`
+      });
+    }
+
+    const room = await facultyDB.deleteRoom(code);
+    if (!room) {
+      return res.status(404).json({ error: "Room not found" });
+    }
+    setAuditSnapshot(res, { target: { type: "room", id: code }, before: room, after: null });
+
+    console.log(`✅ Room deleted: ${code}`);
+    res.json({ message: "Room deleted" });
+  } catch (error) {
+    console.error("❌ Error deleting room:", error);
+    res.status(500).json({ error: "Failed to delete room" });
+  }
+});
+
+// === AVAILABILITY ===
+
+// Faculty with the weekly routine that applies on `dateKey`: the live routine, or
+// the schedules of a different semester when the date falls inside one
+async function getFacultyForDate(dateKey) {
+  const faculty = await facultyDB.getAllFaculty();
+  const semester = await facultyDB.getSemesterForDate(dateKey);
+  const activeId = await facultyDB.getSetting(ACTIVE_SEMESTER_SETTING);
+  if (!semester || String(semester._id) === activeId) {
+    return faculty;
+  }
+
+  const schedules = new Map(
+    (await facultyDB.getSemesterSchedules(semester._id)).map(schedule => [schedule.facultyId, schedule])
+  );
+  return faculty.map(f => (schedules.has(f.facultyId) ? { ...f, ...pickSchedule(schedules.get(f.facultyId)) } : f));
+}
+
+function describeWindow({ dateKey, start, end }, calendarDay) {
+  return {
+    date: dateKey,
+    day: calendarDay.day,
+    scheduleDay: calendarDay.scheduleDay,
+    start,
+    end,
+    holiday: calendarDay.holiday,
+    exam: calendarDay.exam,
+    makeup: calendarDay.makeup
+  };
+}
+
+// Rooms with no class in [start, end). Public so staff can check from their phones.
+// Optional filters: type (lecture/lab), building, minCapacity.
+app.get("/api/rooms/free", async (req, res) => {
+  try {
+    const { value, error } = parseAvailabilityQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const calendarDay = await getCalendarDay(value.dateKey);
+    const faculty = await getFacultyForDate(value.dateKey);
+    const { free, occupied } = getRoomOccupancy(faculty, await facultyDB.listRooms(), calendarDay, value.start, value.end);
+
+    const minCapacity = Number(req.query.minCapacity) || 0;
+    const matches = room =>
+      (!req.query.type || room.type === req.query.type) &&
+      (!req.query.building || room.building === req.query.building) &&
+      (!minCapacity || (room.capacity || 0) >= minCapacity);
+
+    res.json({
+      ...describeWindow(value, calendarDay),
+      free: free.filter(matches),
+      occupied
+    });
+  } catch (error) {
+    console.error("❌ Error finding free rooms:", error);
+    res.status(500).json({ error: "Failed to find free rooms" });
+  }
+});
+
+// Every faculty member's status during [start, end); `available` means at the department
+app.get("/api/faculty/available", async (req, res) => {
+  try {
+    const { value, error } = parseAvailabilityQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const calendarDay = await getCalendarDay(value.dateKey);
+    const faculty = await getFacultyForDate(value.dateKey);
+    const leaves = await facultyDB.getApprovedLeavesOn(value.dateKey);
+    const leaveById = new Map(leaves.map(leave => [leave.facultyId, leave]));
+    const now = new Date();
+
+    const results = faculty
+      .sort((a, b) => (a.precedence || 50) - (b.precedence || 50) || a.name.localeCompare(b.name))
+      .map(f => {
+        const status = getWindowStatus(f, calendarDay, value.start, value.end, {
+          leave: leaveById.get(f.facultyId) || null,
+          now
+        });
+        return {
+          name: f.name,
+          designation: f.designation || "",
+          ...status,
+          available: status.status === "at_dept"
+        };
+      });
+
+    res.json({
+      ...describeWindow(value, calendarDay),
+      availableCount: results.filter(f => f.available).length,
+      faculty: results
+    });
+  } catch (error) {
+    console.error("❌ Error finding available faculty:", error);
+    res.status(500).json({ error: "Failed to find available faculty" });
+  }
+});
+
+// === BATCH TIMETABLES ===
+
+// Resolve ?date= (default today) so the routine of the semester running then is used
+function parseTimetableDate(query) {
+  const dateKey = query.date || getZonedClock().dateKey;
+  return isDateKey(dateKey) ? dateKey : null;
+}
+
+// Batches named in class entries; public for the timetable page
+app.get("/api/batches", async (req, res) => {
+  try {
+    const dateKey = parseTimetableDate(req.query);
+    if (!dateKey) {
+      return res.status(400).json({ error: "date must be in YYYY-MM-DD format" });
+    }
+
+    res.json(listBatches(await getFacultyForDate(dateKey)));
+  } catch (error) {
+    console.error("❌ Error listing batches:", error);
+    res.status(500).json({ error: "Failed to list batches" });
+  }
+});
+
+app.get("/api/batches/:batch/timetable", async (req, res) => {
+  try {
+    const dateKey = parseTimetableDate(req.query);
+    if (!dateKey) {
+      return res.status(400).json({ error: "date must be in YYYY-MM-DD format" });
+    }
+
+    const timetable = buildBatchTimetable(await getFacultyForDate(dateKey), req.params.batch);
+    if (!timetable) {
+      return res.status(404).json({ error: "No classes found for this batch" });
+    }
+
+    res.json({ date: dateKey, ...timetable });
+  } catch (error) {
+    console.error("❌ Error building batch timetable:", error);
+    res.status(500).json({ error: "Failed to load timetable" });
+  }
+});
+
+// === ROUTINE IMPORT ===
+
+// Import classTimes for everyone from a routine CSV. Without `apply` this is a dry run
+// that returns the row errors, conflicts and per-teacher diff; `apply` only writes
+// when there are none. `semesterId` targets that semester's schedules instead of the
+// live routine, and `replaceAll` clears the classes of teachers missing from the file.
+app.post("/api/admin/routine-import", requireAuth, requirePermission("semesters.manage"), async (req, res) => {
+  try {
+    const { csv, apply = false, replaceAll = false, semesterId = null } = req.body || {};
+    const parsed = parseRoutineCsv(csv);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    const semester = semesterId ? await facultyDB.getSemesterById(semesterId) : null;
+    if (semesterId && !semester) {
+      return res.status(404).json({ error: "Semester not found" });
+    }
+
+    // Routines the import is compared against and merged into
+    const faculty = await facultyDB.getAllFaculty();
+    const semesterSchedules = new Map(semester
+      ? (await facultyDB.getSemesterSchedules(semester._id)).map(schedule => [schedule.facultyId, schedule])
+      : []);
+    const current = faculty.map(f => ({
+      facultyId: f.facultyId,
+      name: f.name,
+      ...pickSchedule(semesterSchedules.get(f.facultyId) || f)
+    }));
+
+    const rooms = await facultyDB.listRooms();
+    // Same rule as the conflict checker: inactive rooms only warn (in `conflicts`),
+    // rooms missing from the registry are errors
+    const registeredRooms = new Set(rooms.map(room => room.code));
+    const { matched, errors: matchErrors } = matchRoutineTeachers(parsed.rows, faculty);
+    const rowErrors = [...parsed.errors, ...matchErrors];
+    const validRows = matched.filter(row => {
+      if (row.room && !registeredRooms.has(row.room)) {
+        rowErrors.push({ line: row.line, message: `Room ${row.room} is not in the room registry` });
+        return false;
+      }
+      return true;
+    });
+    rowErrors.sort((a, b) => a.line - b.line);
+
+    const plan = buildImportPlan(validRows, current, { replaceAll: Boolean(replaceAll) });
+    const changedTimes = new Map(plan.changes.map(change => [change.facultyId, change.classTimes]));
+    const planned = current.map(f => (changedTimes.has(f.facultyId) ? { ...f, classTimes: changedTimes.get(f.facultyId) } : f));
+    const conflicts = planned
+      .filter(f => changedTimes.has(f.facultyId))
+      .map(f => ({
+        facultyId: f.facultyId,
+        facultyName: f.name,
+        ...checkScheduleConflicts(f, planned.filter(other => other.facultyId !== f.facultyId), rooms)
+      }))
+      .filter(result => result.errors.length > 0 || result.warnings.length > 0);
+
+    const preview = {
+      target: semester ? { semesterId: String(semester._id), name: semester.name } : { semesterId: null, name: "Current routine" },
+      rows: parsed.rows.length + parsed.errors.length,
+      validRows: validRows.length,
+      rowErrors,
+      changes: plan.changes.map(({ classTimes, ...change }) => change),
+      unchanged: plan.unchanged,
+      conflicts,
+      applied: false
+    };
+
+    if (!apply) {
+      return res.json(preview);
+    }
+
+    const conflictCount = conflicts.reduce((count, result) => count + result.errors.length, 0);
+    if (rowErrors.length > 0 || conflictCount > 0) {
+      return res.status(400).json({
+        error: `Fix ${rowErrors.length} row error(s) and ${conflictCount} conflict(s) before importing`,
+        ...preview
+      });
+    }
+
+    const updates = plan.changes.map(change => ({
+      facultyId: change.facultyId,
+      name: change.facultyName,
+      classTimes: change.classTimes
+    }));
+    setAuditSnapshot(res, {
+      target: { type: "routine", id: preview.target.semesterId || "current" },
+      before: updates.map(({ facultyId, name }) =>
+        ({ facultyId, name, classTimes: current.find(f => f.facultyId === facultyId).classTimes })),
+      after: updates
+    });
+    const activeId = await facultyDB.getSetting(ACTIVE_SEMESTER_SETTING);
+    if (semester) {
+      for (const update of updates) {
+        const schedule = planned.find(f => f.facultyId === update.facultyId);
+        await facultyDB.upsertSemesterSchedule(semester._id, schedule, pickSchedule(schedule), req.user.username);
+      }
+      if (activeId === String(semester._id)) {
+        for (const update of updates) {
+          await facultyDB.applySemesterSchedules(semester._id, update.facultyId);
+        }
+      }
+    } else {
+      await facultyDB.setClassTimes(updates);
+      for (const update of updates) {
+        await syncActiveSemesterSchedule(update.facultyId, req.user.username);
+      }
+    }
+
+    if (!semester || activeId === String(semester._id)) {
+      await statusEngine.refresh(updates.map(update => update.facultyId), req.user.username);
+    }
+
+    console.log(`✅ Routine imported into ${preview.target.name}: ${updates.length} faculty updated by ${req.user.username}`);
+    res.json({ ...preview, applied: true, message: `Updated ${updates.length} faculty routine(s)` });
+  } catch (error) {
+    console.error("❌ Error importing routine:", error);
+    res.status(500).json({ error: "Failed to import routine" });
+  }
+});
+
+// === CALENDAR FEEDS ===
+
+// Feeds cover the running semester, or an open-ended routine starting four weeks back
+async function getFeedRange() {
+  const today = getZonedClock().dateKey;
+  const semester = await facultyDB.getSemesterForDate(today);
+  return semester
+    ? { fromKey: semester.startDate, untilKey: semester.endDate }
+    : { fromKey: addDays(today, -28), untilKey: null };
+}
+
+async function sendRoutineCalendar(res, filename, { name, faculty, slots, describe, facultyId = null }) {
+  const { fromKey, untilKey } = await getFeedRange();
+  const leaves = await facultyDB.listLeaves({
+    status: "approved",
+    from: fromKey,
+    ...(untilKey ? { to: untilKey } : {}),
+    ...(facultyId ? { facultyId } : {})
+  });
+
+  const ics = buildRoutineCalendar({
+    name,
+    slots,
+    describe,
+    fromKey,
+    untilKey,
+    calendarEntries: await facultyDB.getCalendarEntries(fromKey, untilKey),
+    leaves,
+    faculty,
+    leaveEvents: Boolean(facultyId)
+  });
+
+  res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+  res.setHeader("Content-Disposition", `inline; filename="${filename.replace(/[^A-Za-z0-9._-]+/g, "_")}.ics"`);
+  res.send(ics);
+}
+
+// Public so calendar apps can subscribe without logging in. Feeds are addressed by
+// facultyId so subscriptions survive renames; a name still works as an alias.
+app.get("/api/calendar/faculty/:facultyId.ics", async (req, res) => {
+  try {
+    const faculty = await getFacultyForDate(getZonedClock().dateKey);
+    const member = findFacultyByRef(faculty, req.params.facultyId);
+    if (!member) {
+      return res.status(404).json({ error: "Faculty not found" });
+    }
+
+    await sendRoutineCalendar(res, member.name, {
+      name: `${member.name} – Routine`,
+      faculty: [member],
+      slots: listRoutineSlots([member], { includeOfficeHours: true }),
+      describe: slot => slot.kind === "office"
+        ? { summary: "Office hours" }
+        : { summary: slot.batch ? `Class: ${slot.batch}` : "Class", location: slot.room },
+      facultyId: member.facultyId
+    });
+  } catch (error) {
+    console.error("❌ Error building faculty calendar:", error);
+    res.status(500).json({ error: "Failed to build calendar" });
+  }
+});
+
+app.get("/api/calendar/room/:room.ics", async (req, res) => {
+  try {
+    const code = normalizeRoomCode(req.params.room);
+    const faculty = await getFacultyForDate(getZonedClock().dateKey);
+    const slots = listRoutineSlots(faculty).filter(slot => slot.room === code);
+    if (slots.length === 0 && !(await facultyDB.getRoomByCode(code))) {
+      return res.status(404).json({ error: "Room not found" });
+    }
+
+    await sendRoutineCalendar(res, `room_${code}`, {
+      name: `Room ${code}`,
+      faculty,
+      slots,
+      describe: slot => ({
+        summary: [slot.batch, slot.facultyName].filter(Boolean).join(" – "),
+        location: code
+      })
+    });
+  } catch (error) {
+    console.error("❌ Error building room calendar:", error);
+    res.status(500).json({ error: "Failed to build calendar" });
+  }
+});
+
+app.get("/api/calendar/batch/:batch.ics", async (req, res) => {
+  try {
+    const key = normalizeBatchKey(req.params.batch);
+    const faculty = await getFacultyForDate(getZonedClock().dateKey);
+    const slots = listRoutineSlots(faculty).filter(slot => normalizeBatchKey(slot.batch) === key);
+    if (!key || slots.length === 0) {
+      return res.status(404).json({ error: "No classes found for this batch" });
+    }
+
+    await sendRoutineCalendar(res, `batch_${slots[0].batch}`, {
+      name: `${slots[0].batch} – Timetable`,
+      faculty,
+      slots,
+      describe: slot => ({ summary: `Class with ${slot.facultyName}`, location: slot.room })
+    });
+  } catch (error) {
+    console.error("❌ Error building batch calendar:", error);
+    res.status(500).json({ error: "Failed to build calendar" });
+  }
+});
+
+// === SEMESTERS ===
+
+app.get("/api/semesters", requireAuth, requirePermission("semesters.manage"), async (req, res) => {
+  try {
+    res.json({
+      activeSemesterId: await facultyDB.getSetting(ACTIVE_SEMESTER_SETTING),
+      semesters: await facultyDB.listSemesters()
+    });
+  } catch (error) {
+    console.error("❌ Error listing semesters:", error);
+    res.status(500).json({ error: "Failed to list semesters" });
+  }
+});
+
+// `copyFrom` seeds the new semester: "current" copies everyone's live routine,
+// a semester id copies that semester's schedules, anything else starts empty
+app.post("/api/semesters", requireAuth, requirePermission("semesters.manage"), async (req, res) => {
+  try {
+    const { value, error } = validateSemester(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const overlapping = await facultyDB.findOverlappingSemester(value.startDate, value.endDate);
+    if (overlapping) {
+      return res.status(409).json({ error: `Dates overlap semester "${overlapping.name}"` });
+    }
+
+    let seedSchedules = [];
+    const { copyFrom } = req.body;
+    if (copyFrom === "current") {
+      seedSchedules = (await facultyDB.getAllFaculty())
+        .map(f => ({ facultyId: f.facultyId, facultyName: f.name, ...pickSchedule(f) }));
+    } else if (copyFrom) {
+      const source = await facultyDB.getSemesterById(copyFrom);
+      if (!source) {
+        return res.status(404).json({ error: "Semester to copy from not found" });
+      }
+      // Schedules of members deleted before facultyIds existed are left behind
+      seedSchedules = (await facultyDB.getSemesterSchedules(source._id))
+        .filter(schedule => schedule.facultyId)
+        .map(schedule => ({ facultyId: schedule.facultyId, facultyName: schedule.facultyName, ...pickSchedule(schedule) }));
+    }
+
+    const semester = await facultyDB.createSemester({ ...value, createdBy: req.user.username });
+    const copied = await facultyDB.seedSemesterSchedules(semester._id, seedSchedules, req.user.username);
+    setAuditSnapshot(res, {
+      target: { type: "semester", id: String(semester._id) },
+      after: { ...semester, copiedSchedules: copied }
+    });
+
+    console.log(`✅ Semester created: ${value.name} (${value.startDate} to ${value.endDate}, ${copied} schedule(s) copied)`);
+    await statusEngine.refresh([], req.user.username);
+    res.status(201).json({ message: "Semester created", semester, copied });
+  } catch (error) {
+    console.error("❌ Error creating semester:", error);
+    res.status(500).json({ error: "Failed to create semester" });
+  }
+});
+
+app.put("/api/semesters/:id", requireAuth, requirePermission("semesters.manage"), async (req, res) => {
+  try {
+    const { value, error } = validateSemester(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const existing = await facultyDB.getSemesterById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: "Semester not found" });
+    }
+
+    const overlapping = await facultyDB.findOverlappingSemester(value.startDate, value.endDate, existing._id);
+    if (overlapping) {
+      return res.status(409).json({ error: `Dates overlap semester "${overlapping.name}"` });
+    }
+
+    const semester = await facultyDB.updateSemester(req.params.id, { ...value, updatedBy: req.user.username });
+    setAuditSnapshot(res, { target: { type: "semester", id: String(existing._id) }, before: existing, after: semester });
+    console.log(`✅ Semester updated: ${semester.name}`);
+    await statusEngine.refresh([], req.user.username);
+    res.json({ message: "Semester updated", semester });
+  } catch (error) {
+    console.error("❌ Error updating semester:", error);
+    res.status(500).json({ error: "Failed to update semester" });
+  }
+});
+
+// Deleting the active semester keeps the live routine; it just stops being versioned
+app.delete("/api/semesters/:id", requireAuth, requirePermission("semesters.delete"), async (req, res) => {
   try {
-    const db = await facultyDB.connect();
-    const originalName = req.params.name;
-    const updateData = {
-      ...req.body,
-      updatedAt: new Date()
-    };
-
-    // Don't modify these fields
-    delete updateData.status;
-    delete updateData.manualOverride;
-    delete updateData.overrideExpiry;
-    delete updateData.createdAt;
-    delete updateData._id;
-
-    // Preserve precedence if not provided
-    if (updateData.precedence === undefined) {
-      const existing = await db.collection('faculty').findOne({ name: originalName });
-      if (existing && existing.precedence !== undefined) {
-        updateData.precedence = existing.precedence;
-      }
+    const semester = await facultyDB.deleteSemester(req.params.id);
+    if (!semester) {
+      return res.status(404).json({ error: "Semester not found" });
     }
+    setAuditSnapshot(res, { target: { type: "semester", id: String(semester._id) }, before: semester, after: null });
 
-    console.log(`Updating faculty ${originalName} with precedence:`, updateData.precedence);
+    console.log(`✅ Semester deleted: ${semester.name}`);
+    await statusEngine.refresh([], req.user.username);
+    res.json({ message: "Semester deleted" });
+  } catch (error) {
+    console.error("❌ Error deleting semester:", error);
+    res.status(500).json({ error: "Failed to delete semester" });
+  }
+});
 
-    // If name is being changed, check for duplicates
-    if (updateData.name && updateData.name !== originalName) {
-      const existing = await db.collection('faculty').findOne({ name: updateData.name });
-      if (existing) {
-        return res.status(400).json({ error: "Faculty with this name already exists" });
-      }
+app.get("/api/semesters/:id/schedules", requireAuth, requirePermission("semesters.manage"), async (req, res) => {
+  try {
+    const semester = await facultyDB.getSemesterById(req.params.id);
+    if (!semester) {
+      return res.status(404).json({ error: "Semester not found" });
     }
 
-    if (req.user.role === "user") {
-      if (normalizeUsername(originalName) !== normalizeUsername(req.user.linkedFacultyName)) {
-        return res.status(403).json({ error: "Users can only edit their own faculty profile" });
-      }
+    res.json(await facultyDB.getSemesterSchedules(semester._id));
+  } catch (error) {
+    console.error("❌ Error listing semester schedules:", error);
+    res.status(500).json({ error: "Failed to list semester schedules" });
+  }
+});
 
-      const allowedFields = new Set(["name", "designation", "contact", "email", "image", "weekend", "officeHours", "classTimes", "displayPosition", "customPosition", "precedence"]);
-      Object.keys(updateData).forEach(key => {
-        if (!allowedFields.has(key)) {
-          delete updateData[key];
-        }
-      });
+// :faculty is the member's facultyId, or their name
+app.put("/api/semesters/:id/schedules/:faculty", requireAuth, requirePermission("semesters.manage"), async (req, res) => {
+  try {
+    const { value, error, errors } = validateSchedule(req.body);
+    if (error) {
+      return res.status(400).json({ error, errors });
     }
 
-    const result = await db.collection('faculty').updateOne(
-      { name: originalName },
-      { $set: updateData }
-    );
+    const semester = await facultyDB.getSemesterById(req.params.id);
+    if (!semester) {
+      return res.status(404).json({ error: "Semester not found" });
+    }
 
-    if (result.matchedCount === 0) {
+    const faculty = await facultyDB.resolveFaculty(req.params.faculty);
+    if (!faculty) {
       return res.status(404).json({ error: "Faculty not found" });
     }
 
-    if (updateData.name && updateData.name !== originalName) {
-      const users = await getUsersCollection();
-      await users.updateOne(
-        { linkedFacultyName: originalName },
-        {
-          $set: {
-            linkedFacultyName: updateData.name,
-            linkedFacultyEmail: updateData.email || null,
-            updatedAt: new Date()
-          }
-        }
-      );
+    // Compare against the routines that will run alongside this one
+    const activeId = await facultyDB.getSetting(ACTIVE_SEMESTER_SETTING);
+    const others = activeId === String(semester._id)
+      ? null
+      : await facultyDB.getSemesterSchedules(semester._id);
+    const conflicts = await checkFacultySchedule({ name: faculty.name, ...value }, [faculty.name], others);
+    if (conflicts.errors.length > 0) {
+      return res.status(400).json(conflictErrorBody(conflicts));
     }
 
-    console.log(`✅ Updated faculty: ${originalName} (precedence: ${updateData.precedence || 'default'})`);
+    const previous = await facultyDB.getSemesterSchedule(semester._id, faculty.facultyId);
+    const schedule = await facultyDB.upsertSemesterSchedule(semester._id, faculty, value, req.user.username);
+    setAuditSnapshot(res, {
+      target: { type: "semester_schedule", id: `${semester._id}/${faculty.facultyId}` },
+      before: previous,
+      after: schedule
+    });
+
+    // Editing the running semester changes today's routine right away
+    if (activeId === String(semester._id)) {
+      await facultyDB.applySemesterSchedules(semester._id, faculty.facultyId);
+      await statusEngine.refresh([faculty.facultyId], req.user.username);
+    }
 
-    res.json({ message: "Faculty updated successfully" });
+    console.log(`✅ ${semester.name} schedule saved for ${faculty.name}`);
+    res.json({ message: "Schedule saved", schedule, warnings: conflicts.warnings });
   } catch (error) {
-    console.error("Error updating faculty:", error);
-    res.status(500).json({ error: "Failed to update faculty" });
+    console.error("❌ Error saving semester schedule:", error);
+    res.status(500).json({ error: "Failed to save semester schedule" });
   }
 });
 
-// Delete faculty member
-app.delete("/api/admin/faculty/:name", requireAuth, requireRole("admin"), async (req, res) => {
+app.delete("/api/semesters/:id/schedules/:faculty", requireAuth, requirePermission("semesters.manage"), async (req, res) => {
   try {
-    const db = await facultyDB.connect();
-    const result = await db.collection('faculty').deleteOne({ name: req.params.name });
+    const semester = await facultyDB.getSemesterById(req.params.id);
+    if (!semester) {
+      return res.status(404).json({ error: "Semester not found" });
+    }
 
-    if (result.deletedCount === 0) {
-      return res.status(404).json({ error: "Faculty not found" });
+    // Schedules of members deleted before facultyIds existed can only be removed by name
+    const faculty = (await facultyDB.resolveFaculty(req.params.faculty)) || { name: req.params.faculty };
+    const deleted = await facultyDB.deleteSemesterSchedule(semester._id, faculty);
+    if (!deleted) {
+      return res.status(404).json({ error: "Schedule not found" });
     }
+    setAuditSnapshot(res, {
+      target: { type: "semester_schedule", id: `${semester._id}/${req.params.faculty}` },
+      before: deleted,
+      after: null
+    });
 
-    console.log(`✅ Deleted faculty: ${req.params.name}`);
-    const users = await getUsersCollection();
-    await users.deleteMany({ linkedFacultyName: req.params.name });
-    res.json({ message: "Faculty deleted successfully" });
+    console.log(`✅ ${semester.name} schedule removed for ${faculty.name}`);
+    res.json({ message: "Schedule removed" });
   } catch (error) {
-    console.error("Error deleting faculty:", error);
-    res.status(500).json({ error: "Failed to delete faculty" });
+    console.error("❌ Error removing semester schedule:", error);
+    res.status(500).json({ error: "Failed to remove semester schedule" });
   }
 });
 
-// Update marquee text (database version for admin panel)
-app.post("/api/admin/marquee", requireAuth, requireRole("admin", "editor"), async (req, res) => {
-  const { text } = req.body;
+// Update marquee text: written to storage, with the database as backup
+app.post("/api/admin/marquee", requireAuth, requirePermission("marquee.edit"), async (req, res) => {
+  const text = String(req.body?.text ?? "");
 
   try {
-    // Try to update the file directly first (if GitHub token is available)
-    if (process.env.GITHUB_TOKEN) {
-      try {
-        const githubOwner = 'masud7866';
-        const githubRepo = 'faculty-status-display';
-        const filePath = 'backend/public/marquee.txt';
-
-        // Check if file already exists to get SHA
-        let sha = null;
-        try {
-          const existingFile = await fetch(
-            `https://api.github.com/repos/${githubOwner}/${githubRepo}/contents/${filePath}`,
-            {
-              headers: {
-                'Authorization': `token ${process.env.GITHUB_TOKEN}`,
-                'Accept': 'application/vnd.github.v3+json'
-              }
-            }
-          );
-
-          if (existingFile.ok) {
-            const fileData = await existingFile.json();
-            sha = fileData.sha;
-          }
-        } catch (error) {
-          // File doesn't exist, that's fine
-        }
-
-        // Update/create file on GitHub
-        const uploadResponse = await fetch(
-          `https://api.github.com/repos/${githubOwner}/${githubRepo}/contents/${filePath}`,
-          {
-            method: 'PUT',
-            headers: {
-              'Authorization': `token ${process.env.GITHUB_TOKEN}`,
-              'Accept': 'application/vnd.github.v3+json',
-              'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-              message: `Update marquee text via admin panel`,
-              content: Buffer.from(text, 'utf8').toString('base64'),
-              sha: sha // Include SHA if file exists (for update)
-            })
-          }
-        );
-
-        if (uploadResponse.ok) {
-          console.log("✅ Updated marquee.txt file on GitHub");
-
-          // Also update local file if it exists
-          const localMarqueePath = path.join(__dirname, "public/marquee.txt");
-          try {
-            fs.writeFileSync(localMarqueePath, text, 'utf8');
-            console.log("✅ Updated local marquee.txt file");
-          } catch (error) {
-            console.log("⚠️ Could not update local file (that's okay):", error.message);
-          }
-
-          // Update database as backup
-          await facultyDB.setSetting('marquee_text', text);
-
-          return res.json({
-            message: "Marquee text updated successfully in file and database",
-            method: "file_and_database"
-          });
-        } else {
-          const error = await uploadResponse.json();
-          throw new Error(error.message || 'GitHub file update failed');
-        }
-      } catch (githubError) {
-        console.log("⚠️ GitHub file update failed, falling back to local/database:", githubError.message);
-      }
-    }
+    setAuditSnapshot(res, {
+      target: { type: "marquee", id: MARQUEE_KEY },
+      before: { text: await facultyDB.getSetting('marquee_text') },
+      after: { text }
+    });
+    await facultyDB.setSetting('marquee_text', text);
 
-    // Fallback: Try to update local file first
-    const localMarqueePath = path.join(__dirname, "public/marquee.txt");
     try {
-      // Ensure directory exists
-      const dir = path.dirname(localMarqueePath);
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
-      }
-
-      fs.writeFileSync(localMarqueePath, text, 'utf8');
-      console.log("✅ Updated local marquee.txt file");
-
-      // Also update database as backup
-      await facultyDB.setSetting('marquee_text', text);
-
+      await storage.write(MARQUEE_KEY, Buffer.from(text, 'utf8'));
+      console.log(`✅ Updated marquee text in ${storage.name} storage and database`);
       res.json({
-        message: "Marquee text updated successfully in local file and database",
-        method: "local_file_and_database"
+        message: "Marquee text updated successfully in storage and database",
+        method: `${storage.name}_and_database`
       });
-    } catch (fileError) {
-      console.log("⚠️ Local file update failed, updating database only:", fileError.message);
-
-      // Last resort: database only
-      await facultyDB.setSetting('marquee_text', text);
-      console.log("✅ Updated marquee text in database only");
+    } catch (storageError) {
+      console.log("⚠️ Marquee storage update failed, database updated only:", storageError.message);
       res.json({
-        message: "Marquee text updated in database (file update failed)",
+        message: "Marquee text updated in database (storage update failed)",
         method: "database_only",
-        warning: "File could not be updated. Changes may be overwritten if marquee.txt file exists."
+        warning: "The stored marquee.txt could not be updated and takes precedence until it is."
       });
     }
   } catch (error) {
@@ -1044,19 +2940,10 @@ app.post("/api/admin/marquee", requireAuth, requireRole("admin", "editor"), asyn
   }
 });
 
-// GitHub file upload route
-app.post("/api/upload", requireAuth, requireRole("admin", "editor", "user"), async (req, res) => {
-  const { filename, content, path } = req.body;
-  if (req.user.role === "user") {
-    if (filename !== "faculty.json") {
-      return res.status(403).json({
-        error: "Users can only deploy faculty changes"
-      });
-    }
-  }
-  if (!process.env.GITHUB_TOKEN) {
-    return res.status(500).json({ error: "GitHub token not configured. Upload manually to GitHub." });
-  }
+// Upload a file into storage. `path` is where it lives in the repository layout
+// ("backend", "backend/public" or "backend/public/ads") and `content` is base64.
+app.post("/api/upload", requireAuth, requirePermission("deploy.run", "faculty.edit.any", "faculty.edit.own", "ads.manage"), async (req, res) => {
+  const { filename, content, path: uploadPath } = req.body;
   // Log payload size
   const payloadSize = Buffer.byteLength(JSON.stringify(req.body), 'utf8');
   console.log(`Upload payload size: ${payloadSize} bytes`);
@@ -1067,117 +2954,47 @@ app.post("/api/upload", requireAuth, requireRole("admin", "editor", "user"), asy
     });
   }
 
+  const folder = UPLOAD_FOLDERS[String(uploadPath || "").replace(/\/+$/, "")];
+  const key = folder === undefined ? null : normalizeStorageKey(`${folder}/${filename}`);
+  if (!key || String(filename).includes("/") || (folder === "" && filename !== "faculty.json")) {
+    return res.status(400).json({ error: "Uploads must be faculty.json, a photo or an ad file" });
+  }
   try {
-    const githubOwner = 'masud7866';
-    const githubRepo = 'faculty-status-display';
-    const filePath = `${path}/${filename}`;
-
-    // Check if file already exists
-    let sha = null;
-    try {
-      const existingFile = await fetch(
-        `https://api.github.com/repos/${githubOwner}/${githubRepo}/contents/${filePath}`,
-        {
-          headers: {
-            'Authorization': `token ${process.env.GITHUB_TOKEN}`,
-            'Accept': 'application/vnd.github.v3+json'
-          }
-        }
-      );
-
-      if (existingFile.ok) {
-        const fileData = await existingFile.json();
-        sha = fileData.sha;
-      }
-    } catch (error) {
-      // File doesn't exist, that's fine
+    if (!(await canWriteStorageKey(req.user, key))) {
+      return res.status(403).json({ error: "You are not allowed to upload this file" });
     }
 
-    // Upload/update file
-    const uploadResponse = await fetch(
-      `https://api.github.com/repos/${githubOwner}/${githubRepo}/contents/${filePath}`,
-      {
-        method: 'PUT',
-        headers: {
-          'Authorization': `token ${process.env.GITHUB_TOKEN}`,
-          'Accept': 'application/vnd.github.v3+json',
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          message: `Upload ${filename} via admin panel`,
-          content: content,
-          sha: sha // Include SHA if file exists (for update)
-        })
-      }
-    );
-
-    if (!uploadResponse.ok) {
-      const error = await uploadResponse.json();
-      throw new Error(error.message || 'GitHub upload failed');
-    }
-
-    const result = await uploadResponse.json();
-    console.log(`✅ Uploaded ${filename} to GitHub: ${filePath}`);
+    const buffer = Buffer.from(String(content || ""), 'base64');
+    await storage.write(key, buffer);
+    console.log(`✅ Stored ${key} in ${storage.name} storage`);
+    setAuditSnapshot(res, { target: { type: "file", id: key }, after: { key, bytes: buffer.length } });
 
     res.json({
       message: 'File uploaded successfully',
-      path: filePath,
-      url: result.content.download_url
+      path: key,
+      url: folder === ADS_PREFIX ? `/ads/${filename}` : folder === "public" ? `/images/${filename}` : null
     });
-
   } catch (error) {
-    console.error('❌ GitHub upload error:', error);
+    console.error('❌ Upload error:', error);
     res.status(500).json({ error: error.message || 'Upload failed' });
   }
 });
 
 // Delete ad file (admin only)
-app.delete('/api/admin/ads/:filename', requireAuth, requireRole("admin", "editor"), async (req, res) => {
+app.delete('/api/admin/ads/:filename', requireAuth, requirePermission("ads.manage"), async (req, res) => {
   try {
     const filename = req.params.filename;
-
-    if (!process.env.GITHUB_TOKEN) {
-      return res.status(500).json({ error: 'GitHub token not configured' });
+    const key = normalizeStorageKey(`${ADS_PREFIX}/${filename}`);
+    if (!key || filename.includes("/")) {
+      return res.status(400).json({ error: 'Invalid file name' });
     }
 
-    // Delete from GitHub
-    const githubUrl = `https://api.github.com/repos/masud7866/faculty-status-display/contents/backend/public/ads/${filename}`;
-
-    // First, get the file to get its SHA
-    const getResponse = await fetch(githubUrl, {
-      headers: {
-        'Authorization': `token ${process.env.GITHUB_TOKEN}`,
-        'Accept': 'application/vnd.github.v3+json'
-      }
-    });
-
-    if (!getResponse.ok) {
-      if (getResponse.status === 404) {
-        return res.status(404).json({ error: 'File not found' });
-      }
-      throw new Error(`GitHub API error: ${getResponse.status}`);
-    }
-
-    const fileData = await getResponse.json();
-
-    // Delete the file
-    const deleteResponse = await fetch(githubUrl, {
-      method: 'DELETE',
-      headers: {
-        'Authorization': `token ${process.env.GITHUB_TOKEN}`,
-        'Accept': 'application/vnd.github.v3+json',
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        message: `Delete ad file: ${filename}`,
-        sha: fileData.sha
-      })
-    });
-
-    if (!deleteResponse.ok) {
-      const error = await deleteResponse.json();
-      throw new Error(error.message || 'Failed to delete file from GitHub');
+    setAuditSnapshot(res, { target: { type: "ad", id: key } });
+    const existing = await storage.read(key);
+    if (!existing || !(await storage.remove(key))) {
+      return res.status(404).json({ error: 'File not found' });
     }
+    setAuditSnapshot(res, { before: { key, bytes: existing.length }, after: null });
 
     res.json({
       success: true,
@@ -1193,104 +3010,395 @@ app.delete('/api/admin/ads/:filename', requireAuth, requireRole("admin", "editor
   }
 });
 
-// === AUTO STATUS LOGIC ===
-function normalizeOfficeRanges(dayOfficeHours) {
-  if (!Array.isArray(dayOfficeHours)) {
-    return [];
-  }
+// === FACULTY.JSON RECONCILIATION ===
+// faculty.json and the database are never synced implicitly. Their differences are
+// previewed field by field and an admin picks which side wins for each one.
 
-  const isLegacyPair =
-    dayOfficeHours.length === 2 &&
-    typeof dayOfficeHours[0] === "string" &&
-    typeof dayOfficeHours[1] === "string";
+async function readFacultyFile() {
+  const buffer = await storage.read(FACULTY_JSON_KEY);
+  if (!buffer) {
+    return { text: null, faculty: [] };
+  }
 
-  if (isLegacyPair) {
-    return [[dayOfficeHours[0], dayOfficeHours[1]]];
+  const text = buffer.toString("utf8");
+  let faculty;
+  try {
+    faculty = JSON.parse(text);
+  } catch (error) {
+    faculty = null;
   }
+  if (!Array.isArray(faculty)) {
+    const error = new Error("faculty.json is not a valid list of faculty records");
+    error.status = 400;
+    throw error;
+  }
+  return { text, faculty };
+}
 
-  return dayOfficeHours.filter(
-    range =>
-      Array.isArray(range) &&
-      range.length === 2 &&
-      typeof range[0] === "string" &&
-      typeof range[1] === "string"
-  );
+async function writeFacultyFile(faculty) {
+  const text = JSON.stringify(faculty, null, 2);
+  await storage.write(FACULTY_JSON_KEY, Buffer.from(text, "utf8"));
+  await facultyDB.setSetting(FACULTY_FILE_HASH_SETTING, hashFacultyFile(text));
 }
 
-function getCurrentStatus(faculty) {
-  const now = new Date();
-  const day = new Intl.DateTimeFormat('en-US', {
-    timeZone: 'Asia/Dhaka',
-    weekday: 'long'
-  }).format(new Date());
-  const timeStr = new Intl.DateTimeFormat('en-GB', {
-    timeZone: 'Asia/Dhaka',
-    hour: '2-digit',
-    minute: '2-digit',
-    hour12: false
-  }).format(new Date());
-
-  // Check manual override
-  if (faculty.manualOverride && faculty.overrideExpiry) {
-    const expiry = new Date(faculty.overrideExpiry);
-    if (now < expiry) {
-      return { status: faculty.manualOverride };
-    } else {
-      // Override expired, clear it
-      clearExpiredOverride(faculty.name);
-    }
+// True when the file is missing or still what this server last wrote or an admin reviewed
+async function isFacultyFileReviewed(text) {
+  return text === null || hashFacultyFile(text) === await facultyDB.getSetting(FACULTY_FILE_HASH_SETTING);
+}
+
+async function loadReconcileInputs() {
+  const [{ text, faculty: fileFaculty }, dbFaculty] = await Promise.all([
+    readFacultyFile(),
+    facultyDB.getAllFaculty()
+  ]);
+  return {
+    text,
+    fileFaculty,
+    dbFaculty,
+    differences: buildReconcileDiff(fileFaculty, dbFaculty),
+    fingerprint: fingerprintReconcileInputs(text, dbFaculty)
+  };
+}
+
+app.get("/api/admin/faculty-sync", requireAuth, requirePermission("faculty.sync"), async (req, res) => {
+  try {
+    const { text, fileFaculty, differences, fingerprint } = await loadReconcileInputs();
+
+    res.json({
+      fileExists: text !== null,
+      reviewed: await isFacultyFileReviewed(text),
+      fingerprint,
+      summary: summarizeReconcileDiff(differences),
+      differences,
+      invalidFileRecords: listInvalidFileRecords(fileFaculty)
+    });
+  } catch (error) {
+    console.error("❌ Error comparing faculty.json:", error);
+    res.status(error.status || 500).json({ error: error.message || "Failed to compare faculty.json" });
   }
+});
 
-  // Check if today is their weekend
-  if (faculty.weekend?.includes(day)) {
-    return { status: "on_weekend" };
+// Body: { fingerprint, selections: [{ id, direction: "toDatabase" | "toFile" }] }
+app.post("/api/admin/faculty-sync/apply", requireAuth, requirePermission("faculty.sync"), async (req, res) => {
+  const selections = Array.isArray(req.body?.selections) ? req.body.selections : [];
+  if (selections.length === 0) {
+    return res.status(400).json({ error: "Select at least one difference to apply" });
   }
 
-  // Check if now is in class time
-  const classes = faculty.classTimes?.[day];
-  if (Array.isArray(classes)) {
-    for (const cls of classes) {
-      if (cls.start < cls.end && timeStr >= cls.start && timeStr < cls.end) {
-        return {
-          status: "in_class",
-          room: cls.room || null,
-          batch: cls.batch || null
-        };
+  try {
+    const { text, fileFaculty, dbFaculty, differences, fingerprint } = await loadReconcileInputs();
+    if (req.body?.fingerprint !== fingerprint) {
+      return res.status(409).json({ error: "faculty.json or the database changed since the preview. Compare again." });
+    }
+
+    const plan = planReconcileApply(differences, selections, fileFaculty, dbFaculty);
+    if (plan.error) {
+      return res.status(400).json({ error: plan.error, errors: plan.errors });
+    }
+
+    const { inserts, updates, deletes } = plan.database;
+    const deletedIds = dbFaculty
+      .filter(record => deletes.includes(record.name) && record.facultyId)
+      .map(record => record.facultyId);
+    await facultyDB.applyFacultyReconciliation(plan.database);
+    if (deletedIds.length > 0) {
+      await deleteUsers({ linkedFacultyId: { $in: deletedIds } }, "faculty_deleted");
+    }
+    for (const name of [...inserts.map(record => record.name), ...updates.map(update => update.name)]) {
+      const faculty = await facultyDB.getFacultyByName(name);
+      if (faculty) {
+        await syncActiveSemesterSchedule(faculty.facultyId, req.user.username);
       }
     }
+
+    const toFile = plan.applied.filter(entry => entry.direction === "toFile").length;
+    if (toFile > 0) {
+      await writeFacultyFile(plan.file);
+    } else if (text !== null) {
+      // Reviewed: whatever was left unselected stays as it is in the file
+      await facultyDB.setSetting(FACULTY_FILE_HASH_SETTING, hashFacultyFile(text));
+    }
+
+    const reconciliation = await facultyDB.recordReconciliation({
+      appliedBy: req.user.username,
+      applied: plan.applied,
+      summary: {
+        toDatabase: plan.applied.length - toFile,
+        toFile,
+        inserted: inserts.length,
+        updated: updates.length,
+        deleted: deletes.length,
+        skipped: differences.length - plan.applied.length
+      }
+    });
+
+    const changedNames = [...new Set(plan.applied.map(entry => entry.name))];
+    await statusEngine.refresh(changedNames, req.user.username);
+    setAuditSnapshot(res, {
+      target: { type: "faculty", id: changedNames.join(",") },
+      before: { deleted: dbFaculty.filter(record => deletes.includes(record.name)) },
+      after: { applied: plan.applied, inserted: inserts, updated: updates }
+    });
+
+    console.log(`✅ faculty.json reconciliation by ${req.user.username}: ${reconciliation.summary.toDatabase} to database, ${toFile} to file`);
+    res.json({ message: "Reconciliation applied", reconciliation });
+  } catch (error) {
+    console.error("❌ Error applying reconciliation:", error);
+    res.status(error.status || 500).json({ error: error.message || "Failed to apply reconciliation" });
   }
+});
 
-  // Check if now is within office hours
-  const officeRanges = normalizeOfficeRanges(faculty.officeHours?.[day]);
-  for (const [start, end] of officeRanges) {
-    if (start < end && timeStr >= start && timeStr < end) {
-      return { status: "at_dept" };
+// Body: { fingerprint }. Marks faculty.json as reviewed as it is, leaving any
+// differences in place, so the next deploy may overwrite it from the database
+app.post("/api/admin/faculty-sync/accept", requireAuth, requirePermission("faculty.sync"), async (req, res) => {
+  try {
+    const { text, differences, fingerprint } = await loadReconcileInputs();
+    if (req.body?.fingerprint !== fingerprint) {
+      return res.status(409).json({ error: "faculty.json or the database changed since the preview. Compare again." });
     }
+    if (text === null) {
+      return res.status(404).json({ error: "No faculty.json in storage" });
+    }
+
+    await facultyDB.setSetting(FACULTY_FILE_HASH_SETTING, hashFacultyFile(text));
+    setAuditSnapshot(res, {
+      target: { type: "file", id: FACULTY_JSON_KEY },
+      after: { reviewed: true, differences: differences.length }
+    });
+
+    console.log(`✅ faculty.json marked reviewed by ${req.user.username} (${differences.length} difference(s) left)`);
+    res.json({ message: "faculty.json marked as reviewed" });
+  } catch (error) {
+    console.error("❌ Error accepting faculty.json:", error);
+    res.status(error.status || 500).json({ error: error.message || "Failed to mark faculty.json as reviewed" });
+  }
+});
+
+app.get("/api/admin/faculty-sync/history", requireAuth, requirePermission("faculty.sync"), async (req, res) => {
+  try {
+    res.json(await facultyDB.listReconciliations());
+  } catch (error) {
+    console.error("❌ Error fetching reconciliation history:", error);
+    res.status(500).json({ error: "Failed to fetch reconciliation history" });
+  }
+});
+
+// === DEPLOY ===
+// "Deploy Changes" saves pending files to storage and, when a GitHub target is
+// enabled, queues one job that commits them all to the repository at once.
+
+async function getDeployTarget() {
+  return (await facultyDB.getSetting(DEPLOY_TARGET_SETTING)) || getDefaultDeployTarget(process.env);
+}
+
+// Storage keys a deploy may publish: faculty.json, the marquee, photos and ads
+function isDeployableKey(key) {
+  return key === FACULTY_JSON_KEY || /^public\/[^/]+$/.test(key) || new RegExp(`^${ADS_PREFIX}/[^/]+$`).test(key);
+}
+
+// Replace faculty.json with the database, unless the file holds edits nobody has reviewed
+async function writeFacultySnapshot() {
+  const { text } = await readFacultyFile();
+  if (!(await isFacultyFileReviewed(text))) {
+    const error = new Error("faculty.json was edited outside the admin panel. Review it under Faculty → faculty.json Sync before deploying.");
+    error.status = 409;
+    throw error;
   }
 
-  return { status: "off_duty" };
+  const faculty = (await facultyDB.getAllFaculty()).sort((a, b) =>
+    (a.precedence || 50) - (b.precedence || 50) || a.name.localeCompare(b.name));
+  await writeFacultyFile(faculty);
 }
 
-async function clearExpiredOverride(name) {
+app.get("/api/admin/deploy/target", requireAuth, requirePermission("deploy.manage"), async (req, res) => {
   try {
-    await facultyDB.updateFacultyOverride(name, null, null);
+    res.json({ ...(await getDeployTarget()), tokenConfigured: Boolean(process.env.GITHUB_TOKEN) });
   } catch (error) {
-    console.error("❌ Error clearing expired override:", error);
+    console.error("❌ Error fetching deploy target:", error);
+    res.status(500).json({ error: "Failed to fetch deploy target" });
   }
-}
+});
 
-async function updateStatuses() {
+app.put("/api/admin/deploy/target", requireAuth, requirePermission("deploy.configure"), async (req, res) => {
   try {
-    const allFaculty = await facultyDB.getAllFaculty();
+    const { value, error } = validateDeployTarget(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    setAuditSnapshot(res, {
+      target: { type: "deploy_target", id: DEPLOY_TARGET_SETTING },
+      before: await facultyDB.getSetting(DEPLOY_TARGET_SETTING),
+      after: value
+    });
+    await facultyDB.setSetting(DEPLOY_TARGET_SETTING, value);
+    console.log(`✅ Deploy target ${value.enabled ? `set to ${value.repository}@${value.branch}` : "disabled"} by ${req.user.username}`);
+    res.json({ message: "Deploy target saved", target: { ...value, tokenConfigured: Boolean(process.env.GITHUB_TOKEN) } });
+  } catch (error) {
+    console.error("❌ Error saving deploy target:", error);
+    res.status(500).json({ error: "Failed to save deploy target" });
+  }
+});
+
+// Body: { faculty, marquee, keys: [storage keys already uploaded], deleteAds: [filenames] }
+app.post("/api/admin/deploy", requireAuth, requirePermission("deploy.run"), async (req, res) => {
+  const includeFaculty = req.body?.faculty === true;
+  const includeMarquee = req.body?.marquee === true;
+  const uploadedKeys = Array.isArray(req.body?.keys) ? req.body.keys.map(normalizeStorageKey) : [];
+  const deleteAds = Array.isArray(req.body?.deleteAds) ? req.body.deleteAds.map(String) : [];
+
+  if (uploadedKeys.some(key => !key || !isDeployableKey(key))) {
+    return res.status(400).json({ error: "keys must be faculty.json, photo or ad files in storage" });
+  }
+
+  const neededPermissions = [
+    ...(includeMarquee ? ["marquee.edit"] : []),
+    ...(deleteAds.length > 0 ? ["ads.manage"] : [])
+  ];
+  if (neededPermissions.some(permission => !hasPermission(req.user, permission))) {
+    return res.status(403).json({ error: "You are not allowed to deploy some of these changes" });
+  }
+
+  const deletedKeys = deleteAds.map(filename =>
+    filename.includes("/") ? null : normalizeStorageKey(`${ADS_PREFIX}/${filename}`));
+  if (deletedKeys.some(key => !key)) {
+    return res.status(400).json({ error: "Invalid ad file name" });
+  }
+
+  const keys = [...new Set([
+    ...(includeFaculty ? [FACULTY_JSON_KEY] : []),
+    ...(includeMarquee ? [MARQUEE_KEY] : []),
+    ...uploadedKeys,
+    ...deletedKeys
+  ])];
+  if (keys.length === 0) {
+    return res.status(400).json({ error: "Nothing to deploy" });
+  }
+
+  try {
+    for (const key of uploadedKeys) {
+      if (!(await canWriteStorageKey(req.user, key))) {
+        return res.status(403).json({ error: "You are not allowed to deploy some of these changes" });
+      }
+    }
+
+    setAuditSnapshot(res, { target: { type: "deploy", id: keys.join(",") }, after: { keys, deletedKeys } });
+    // The snapshot is the step that can refuse (unreviewed file edits), so nothing is
+    // removed until it has been written
+    if (includeFaculty) {
+      await writeFacultySnapshot();
+    }
+    for (const key of deletedKeys) {
+      await storage.remove(key);
+    }
+
+    const target = await getDeployTarget();
+    if (!target.enabled) {
+      console.log(`✅ Deploy saved ${keys.length} file(s) to ${storage.name} storage (no GitHub target)`);
+      return res.json({ message: "Changes saved to storage", keys, job: null });
+    }
 
-    for (const faculty of allFaculty) {
-      const statusObj = getCurrentStatus(faculty);
-      await facultyDB.updateFacultyStatus(faculty.name, statusObj);
+    const job = await facultyDB.createDeployJob({
+      target,
+      keys,
+      message: describeDeployKeys(keys),
+      requestedBy: req.user.username
+    });
+    console.log(`📤 Deploy job ${job._id} queued by ${req.user.username}: ${keys.length} file(s)`);
+    deployQueue.kick();
+
+    res.status(202).json({ message: "Deploy queued", keys, job });
+  } catch (error) {
+    console.error("❌ Deploy error:", error);
+    res.status(error.status || 500).json({ error: error.message || "Deploy failed" });
+  }
+});
+
+app.get("/api/admin/deploy/jobs", requireAuth, requirePermission("deploy.manage"), async (req, res) => {
+  try {
+    res.json(await facultyDB.listDeployJobs());
+  } catch (error) {
+    console.error("❌ Error listing deploy jobs:", error);
+    res.status(500).json({ error: "Failed to fetch deploy jobs" });
+  }
+});
+
+// Any signed-in user can follow the job their own deploy queued; other jobs need deploy.manage
+app.get("/api/admin/deploy/jobs/:id", requireAuth, async (req, res) => {
+  try {
+    const job = await facultyDB.getDeployJobById(req.params.id);
+    // Someone else's job is reported as missing rather than confirmed to exist
+    if (!job || (job.requestedBy !== req.user.username && !hasPermission(req.user, "deploy.manage"))) {
+      return res.status(404).json({ error: "Deploy job not found" });
+    }
+    res.json(job);
+  } catch (error) {
+    console.error("❌ Error fetching deploy job:", error);
+    res.status(500).json({ error: "Failed to fetch deploy job" });
+  }
+});
+
+app.post("/api/admin/deploy/jobs/:id/retry", requireAuth, requirePermission("deploy.manage"), async (req, res) => {
+  try {
+    const failedJob = await facultyDB.getDeployJobById(req.params.id);
+    const job = await facultyDB.requeueDeployJob(req.params.id, req.user.username);
+    if (!job) {
+      return res.status(409).json({ error: "Only failed deploy jobs can be retried" });
     }
+    setAuditSnapshot(res, {
+      target: { type: "deploy_job", id: String(job._id) },
+      before: { status: failedJob?.status || null, error: failedJob?.error || null },
+      after: { status: job.status, retriedBy: job.retriedBy }
+    });
+
+    console.log(`🔁 Deploy job ${job._id} re-queued by ${req.user.username}`);
+    deployQueue.kick();
+    res.json({ message: "Deploy job re-queued", job });
+  } catch (error) {
+    console.error("❌ Error retrying deploy job:", error);
+    res.status(500).json({ error: "Failed to retry deploy job" });
+  }
+});
+
+// === AUDIT LOG ===
 
-    console.log("✅ Auto status updated at", new Date().toISOString());
+// Who changed what, newest first. Filters: ?actor=&action=&target=&from=&to=&failedOnly=true,
+// paged with ?before=<createdAt of the last entry shown>&limit=
+app.get("/api/admin/audit-log", requireAuth, requirePermission("audit.view"), async (req, res) => {
+  const query = parseAuditQuery(req.query);
+  if (query.error) {
+    return res.status(400).json({ error: query.error });
+  }
+
+  try {
+    const entries = await facultyDB.listAuditLog(query.value);
+    res.json({
+      entries,
+      actions: [...new Set(Object.values(AUDIT_ACTIONS))].sort(),
+      nextBefore: entries.length === query.value.limit ? entries[entries.length - 1].createdAt : null
+    });
   } catch (error) {
-    console.error("❌ Failed to auto-update statuses:", error);
+    console.error("❌ Error listing audit log:", error);
+    res.status(500).json({ error: "Failed to fetch audit log" });
+  }
+});
+
+// Fill an empty rooms collection with the rooms the admin panel used to hardcode,
+// plus every room already referenced by a class
+async function seedRoomRegistry() {
+  const codes = new Set(LEGACY_ROOMS);
+  (await facultyDB.getAllFaculty()).forEach(faculty => {
+    listClassRooms(faculty.classTimes).forEach(entry => codes.add(entry.room));
+  });
+
+  const rooms = [...codes].map(code => {
+    const { building, floor } = parseRoomCode(code);
+    return { code, building: building || code, floor, capacity: null, type: "lecture", active: true };
+  });
+
+  const inserted = await facultyDB.seedRoomsIfEmpty(rooms);
+  if (inserted > 0) {
+    console.log(`🏫 Seeded room registry with ${inserted} rooms`);
   }
 }
 
@@ -1299,7 +3407,16 @@ async function startup() {
   try {
     console.log("🚀 Starting Faculty Status Backend...");
 
+    configWarnings.forEach(warning => console.log(`⚠️ ${warning}`));
+    if (configErrors.length > 0) {
+      configErrors.forEach(error => console.error(`❌ ${error}`));
+      console.error("💥 Refusing to start in production without real secrets");
+      process.exit(1);
+    }
+
     facultyDB = new FacultyDB();
+    statusEngine = new StatusEngine(facultyDB, { onChange: publishFacultyChanges });
+    deployQueue = new DeployQueue(facultyDB, storage, { token: process.env.GITHUB_TOKEN });
 
     // Check for initial migration or file sync
     try {
@@ -1307,13 +3424,64 @@ async function startup() {
       const users = db.collection('users');
       await users.createIndex({ usernameLower: 1 }, { unique: true });
       await users.createIndex({ linkedFacultyName: 1 });
+      await users.createIndex({ linkedFacultyId: 1 });
+      const statusHistory = db.collection('status_history');
+      await statusHistory.createIndex({ facultyId: 1, startedAt: 1 });
+      await statusHistory.createIndex({ facultyId: 1, endedAt: 1 });
+      await statusHistory.createIndex({ facultyName: 1, startedAt: 1 });
+      const leaves = db.collection('leaves');
+      await leaves.createIndex({ facultyId: 1, startDate: 1 });
+      await leaves.createIndex({ status: 1, startDate: 1, endDate: 1 });
+      await db.collection('academic_calendar').createIndex({ startDate: 1, endDate: 1 });
+      await db.collection('semesters').createIndex({ startDate: 1, endDate: 1 });
+      // Schedules were unique per name before they were keyed by facultyId
+      await db.collection('semester_schedules').dropIndex('semesterId_1_facultyName_1').catch(() => {});
+      await db.collection('semester_schedules').createIndex(
+        { semesterId: 1, facultyId: 1 },
+        { unique: true, partialFilterExpression: { facultyId: { $type: 'string' } } }
+      );
+      await db.collection('rooms').createIndex({ code: 1 }, { unique: true });
+      await db.collection('deploy_jobs').createIndex({ status: 1, createdAt: 1 });
+      await db.collection('auth_sessions').createIndex({ username: 1, revokedAt: 1 });
+      // Sessions are useless once expired; Mongo removes them a day later
+      await db.collection('auth_sessions').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+      await db.collection('password_resets').createIndex({ tokenHash: 1 }, { unique: true });
+      await db.collection('password_resets').createIndex({ username: 1, createdAt: -1 });
+      await db.collection('password_reset_requests').createIndex({ ip: 1, createdAt: -1 });
+      // Only the last hour is ever counted
+      await db.collection('password_reset_requests').createIndex({ createdAt: 1 }, { expireAfterSeconds: 60 * 60 });
+      // Used and expired links are kept a week for review, then dropped
+      await db.collection('password_resets').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+      await db.collection('login_throttles').createIndex({ key: 1 }, { unique: true });
+      // Counters without a failure in a day are forgotten
+      await db.collection('login_throttles').createIndex({ lastFailureAt: 1 }, { expireAfterSeconds: FAILURE_WINDOW_MS / 1000 });
+      await db.collection('audit_log').createIndex({ createdAt: -1 });
+      await db.collection('audit_log').createIndex({ actor: 1, createdAt: -1 });
+      await db.collection('audit_log').createIndex({ action: 1, createdAt: -1 });
+      await db.collection('audit_log').createIndex({ 'target.id': 1, createdAt: -1 });
+      await db.collection('roles').createIndex({ name: 1 }, { unique: true });
+      await db.collection('faculty').createIndex(
+        { facultyId: 1 },
+        { unique: true, partialFilterExpression: { facultyId: { $type: 'string' } } }
+      );
       const existingCount = await db.collection('faculty').countDocuments();
 
       console.log(`💾 Current database has ${existingCount} faculty records`);
 
       if (existingCount === 0) {
         console.log("📦 Database is empty, performing initial migration...");
-        await facultyDB.migrateFromJSON();
+        const { text, faculty: fileFaculty } = await readFacultyFile();
+        if (text === null) {
+          console.log("No faculty.json found, skipping migration");
+        } else {
+          const { dropped } = await facultyDB.migrateFromJSON(fileFaculty);
+          if (dropped === 0) {
+            // The database now matches the file, so there is nothing to reconcile
+            await facultyDB.setSetting(FACULTY_FILE_HASH_SETTING, hashFacultyFile(text));
+          } else {
+            console.log(`📄 ${dropped} faculty.json record(s) were not imported as-is; review them under Faculty → faculty.json Sync`);
+          }
+        }
       } else if (existingCount > 20) { // If we have way too many records
         console.log(`⚠️ Database has ${existingCount} records - this seems like duplicates`);
         console.log("🧹 Cleaning up duplicates...");
@@ -1341,27 +3509,72 @@ async function startup() {
         const cleanCount = await db.collection('faculty').countDocuments();
         console.log(`✅ Database now has ${cleanCount} unique faculty records`);
       } else {
-        // Normal sync check
-        const jsonPath = path.join(__dirname, "faculty.json");
-        if (fs.existsSync(jsonPath)) {
-          const lastSync = await facultyDB.getSetting('last_faculty_sync');
-          if (!lastSync) {
-            console.log("📄 Performing initial faculty.json sync...");
-            await syncFacultyFromJSON();
-            const jsonStat = fs.statSync(jsonPath);
-            await facultyDB.setSetting('last_faculty_sync', jsonStat.mtime.toISOString());
-          }
+        // faculty.json is never imported implicitly; point out drift for an admin to review
+        const { differences } = await loadReconcileInputs();
+        if (differences.length > 0) {
+          console.log(`📄 faculty.json differs from the database in ${differences.length} place(s); review it under Faculty → faculty.json Sync`);
         }
       }
 
+      // Records and accounts from before facultyIds existed
+      const assignedIds = await facultyDB.assignMissingFacultyIds();
+      if (assignedIds > 0) {
+        console.log(`🆔 Assigned facultyIds to ${assignedIds} faculty records`);
+      }
+      const linkedUsers = await facultyDB.linkUsersToFacultyIds();
+      if (linkedUsers > 0) {
+        console.log(`🔗 Linked ${linkedUsers} user accounts to facultyIds`);
+      }
+      const linkedRecords = await facultyDB.linkRecordsToFacultyIds();
+      if (linkedRecords > 0) {
+        console.log(`🔗 Linked ${linkedRecords} history, leave and semester schedule records to facultyIds`);
+      }
+      const normalizedRecords = await facultyDB.normalizeLegacyOfficeHours();
+      if (normalizedRecords > 0) {
+        console.log(`🕘 Converted legacy office hours to range lists on ${normalizedRecords} records`);
+      }
+
       await ensureDefaultUsersFromFaculty();
+      await seedRoomRegistry();
     } catch (error) {
       console.log("⚠️ Migration/sync check failed:", error.message);
     }
 
-    // Start auto status updates
-    updateStatuses();
-    setInterval(updateStatuses, 3000);
+    // Outside the block above: a failed sync must not leave plaintext passwords or no admin
+    try {
+      const seededRoles = await facultyDB.seedRoles(DEFAULT_ROLES);
+      if (seededRoles > 0) {
+        console.log(`🛡️ Added ${seededRoles} default role(s)`);
+      }
+
+      const { rehashed, disabled } = await migrateLegacyPasswordHashes();
+      if (rehashed.length > 0) {
+        console.log(`🔑 Rehashed ${rehashed.length} plaintext password(s); those users must change them at next login`);
+      }
+      if (disabled.length > 0) {
+        console.log(`🔒 Disabled the password of ${disabled.length} account(s) with a default or unreadable one: ${disabled.join(", ")}`);
+        console.log("   Reset them from User Management, or the users can request a reset link");
+      }
+
+      const bootstrapped = await bootstrapAdminAccount();
+      if (bootstrapped) {
+        console.log(bootstrapped.reset
+          ? `👤 No admin could sign in; reset the password of "${bootstrapped.username}" (password change required at first login)`
+          : `👤 No admin account existed; created "${bootstrapped.username}" (password change required at first login)`);
+        if (bootstrapped.password) {
+          console.log(`   One-time password: ${bootstrapped.password}`);
+          console.log("   It is shown only now; set BOOTSTRAP_ADMIN_PASSWORD to choose it instead");
+        }
+      }
+    } catch (error) {
+      console.error("❌ Account security setup failed:", error.message);
+    }
+
+    // Start auto status updates (wakes at the next class/office-hour/override boundary)
+    statusEngine.start();
+
+    // Resume deploy jobs a restart interrupted
+    deployQueue.start().catch(error => console.log("⚠️ Deploy queue failed to start:", error.message));
 
     // Upgrade to MongoDB session store (for persistence across restarts)
     try {
@@ -1373,7 +3586,7 @@ async function startup() {
         ttl: 8 * 60 * 60, // 8 hours TTL (matches cookie maxAge)
         autoRemove: 'native',
         crypto: {
-          secret: process.env.SESSION_SECRET || 'secret123'
+          secret: SECRETS.SESSION_SECRET
         }
       });
 
@@ -1392,7 +3605,9 @@ async function startup() {
       console.log(`✅ Server running on http://localhost:${PORT}`);
       console.log("💾 Database: MongoDB Atlas (with file sync)");
       console.log("🔐 Sessions: " + (sessionStore ? "Persistent (MongoDB)" : "Memory (temporary)"));
-      console.log("📄 Edit faculty.json or marquee.txt to update data");
+      console.log(`🗂️ File storage: ${storage.name}`);
+      console.log(`📧 Mail: ${mailer.name}` + (mailer.name === "smtp" ? "" : " (reset links are only logged; set MAIL_TRANSPORT=smtp to send them)"));
+      console.log("📄 faculty.json changes are applied through the admin panel's sync review");
       console.log("🟢 Status: Ready");
     });
   } catch (error) {
@@ -1405,6 +3620,12 @@ async function startup() {
 process.on('SIGINT', async () => {
   console.log('🛑 Shutting down gracefully...');
 
+  // Stop status engine and close live update streams
+  if (statusEngine) {
+    statusEngine.stop();
+  }
+  facultyEvents.close();
+
   // Close session store
   if (sessionStore) {
     await sessionStore.close();
@@ -0,0 +1,15 @@
+// The shipped faculty.json must pass the same validation as an admin save, or
+// saving one of its members with the full schedule is rejected
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateFacultyRecord } = require('../lib/facultySchema');
+const faculty = require('../faculty.json');
+
+test('every shipped faculty.json record passes validateFacultyRecord', () => {
+  const invalid = faculty
+    .map(record => ({ name: record.name, ...validateFacultyRecord(record) }))
+    .filter(result => result.error)
+    .map(result => `${result.name}: ${(result.errors || []).map(error => `${error.field} ${error.message}`).join('; ') || result.error}`);
+
+  assert.deepStrictEqual(invalid, []);
+});